@@ -0,0 +1,104 @@
+import { useState } from "react";
+
+/**
+ * CAPTURE PANEL
+ *
+ * Records the 3D view to a WebM clip and saves PNG snapshots. The recorder
+ * itself runs in the page, next to the render loop it copies frames from;
+ * this panel keeps the capture options.
+ *
+ * Props:
+ * - recording: whether a clip is being recorded
+ * - onStartRecording(hud): starts a clip, with or without the HUD lines
+ * - onStopRecording(): stops the clip and saves it
+ * - onHudChange(hud): the HUD option changed, possibly mid-recording
+ * - onAutoStopChange(autoStop): whether the clip stops when the shots land
+ * - onSnapshot(scale): saves a snapshot at `scale` times the screen resolution
+ */
+import { SNAPSHOT_SCALES, recordingSupported } from "@/lib/recording";
+
+const CapturePanel = ({
+  recording,
+  onStartRecording,
+  onStopRecording,
+  onHudChange,
+  onAutoStopChange,
+  onSnapshot,
+}) => {
+  const [hud, setHud] = useState(true); // draw time and positions into the clip
+  const [autoStop, setAutoStop] = useState(true);
+  const [scale, setScale] = useState(2);
+  const [message, setMessage] = useState(null);
+  const startRecording = () => {
+    if (!recordingSupported()) {
+      setMessage("This browser cannot record the canvas to video.");
+      return;
+    }
+    setMessage(null);
+    onStartRecording(hud);
+  };
+  return (
+    <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+      <h3 className="font-semibold mb-3 text-rose-400 text-sm sm:text-base">
+        Capture
+      </h3>
+      <div className="space-y-2 text-xs">
+        <button
+          onClick={recording ? onStopRecording : startRecording}
+          className={`w-full p-1.5 rounded font-semibold ${
+            recording
+              ? "bg-rose-600 hover:bg-rose-700 animate-pulse"
+              : "bg-gray-600 hover:bg-gray-500"
+          }`}
+        >
+          {recording ? "■ Stop and save video" : "● Record video (WebM)"}
+        </button>
+        <label className="flex items-center justify-between text-gray-300">
+          Include time &amp; position HUD
+          <input
+            type="checkbox"
+            checked={hud}
+            onChange={(e) => {
+              setHud(e.target.checked);
+              onHudChange(e.target.checked);
+            }}
+          />
+        </label>
+        <label className="flex items-center justify-between text-gray-300">
+          Stop when the shots land
+          <input
+            type="checkbox"
+            checked={autoStop}
+            onChange={(e) => {
+              setAutoStop(e.target.checked);
+              onAutoStopChange(e.target.checked);
+            }}
+          />
+        </label>
+        <div className="flex gap-2 border-t border-gray-600 pt-2">
+          <button
+            onClick={() => onSnapshot(scale)}
+            className="flex-1 p-1.5 rounded bg-gray-600 hover:bg-gray-500"
+          >
+            📷 Save PNG snapshot
+          </button>
+          <select
+            value={scale}
+            onChange={(e) => setScale(Number(e.target.value))}
+            className="bg-gray-600 rounded px-1"
+            title="Snapshot resolution"
+          >
+            {SNAPSHOT_SCALES.map((option) => (
+              <option key={option} value={option}>
+                {option}×
+              </option>
+            ))}
+          </select>
+        </div>
+        {message && <p className="text-red-400">{message}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default CapturePanel;
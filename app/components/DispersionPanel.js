@@ -0,0 +1,153 @@
+import { useState } from "react";
+
+/**
+ * DISPERSION PANEL
+ *
+ * Sets up a Monte Carlo run (shot count, seed and launch errors), starts it
+ * and reads out the group it gave: the mean point of impact, the spread, the
+ * confidence ellipses and the CEP. The run settings are kept here; the run
+ * itself belongs to the page, which draws it in the scene.
+ *
+ * Props:
+ * - dispersion: { result, trajectory, config } of the last run, or null
+ * - stale: the cannon setup changed since that run
+ * - offset: { along, left } of the mean point of impact from the nominal
+ *   impact, in the aim frame, or null
+ * - locked: no run can start (a shot is in flight)
+ * - onRun(config): runs simulateDispersion() with these settings
+ * - onClear()
+ * - units: display units from createUnits()
+ */
+import { DEFAULT_DISPERSION } from "@/lib/dispersion";
+
+// Dispersion ellipses, in the order of ELLIPSE_LEVELS (50%, 95%)
+export const ELLIPSE_COLORS = [0x34d399, 0xfbbf24];
+
+const DispersionPanel = ({
+  dispersion,
+  stale,
+  offset,
+  locked,
+  onRun,
+  onClear,
+  units,
+}) => {
+  // Starts from the last run's settings when the panel remounts
+  const [config, setConfig] = useState(
+    dispersion?.config ?? DEFAULT_DISPERSION,
+  );
+  return (
+    <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+      <h3 className="font-semibold mb-3 text-pink-400 text-sm sm:text-base">
+        Dispersion (Monte Carlo)
+      </h3>
+      <div className="grid grid-cols-3 gap-2 text-xs sm:text-sm">
+        {[
+          ["shots", "Shots", null, "10", 1, 2000],
+          ["seed", "Seed", null, "1", 1, 1e9],
+          ["velocitySigma", "σ v", "speed", "0.1", 0, 20],
+          ["angleSigma", "σ elev (°)", null, "0.1", 0, 10],
+          ["azimuthSigma", "σ azim (°)", null, "0.1", 0, 10],
+        ].map(([key, label, quantity, step, min, max]) => (
+          <label key={key} className="flex flex-col text-gray-300">
+            {quantity ? `${label} (${units.unit(quantity)})` : label}
+            <input
+              type="number"
+              min={units.input(min, quantity)}
+              max={units.input(max, quantity)}
+              step={step}
+              value={units.input(config[key], quantity)}
+              onChange={(e) => {
+                const typed = Number(e.target.value);
+                const val = units.parse(
+                  key === "shots" || key === "seed" ? Math.floor(typed) : typed,
+                  quantity,
+                  min,
+                  max,
+                );
+                if (val !== null) {
+                  setConfig((prev) => ({
+                    ...prev,
+                    [key]: val,
+                  }));
+                }
+              }}
+              className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+              disabled={locked}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-2 text-xs mt-3">
+        <button
+          onClick={() => onRun(config)}
+          disabled={locked}
+          className="p-1.5 rounded bg-pink-700 hover:bg-pink-600 disabled:opacity-50"
+        >
+          Run
+        </button>
+        <button
+          onClick={onClear}
+          disabled={!dispersion}
+          className="p-1.5 rounded bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+        >
+          Clear
+        </button>
+      </div>
+      {dispersion && (
+        <div className="border-t border-gray-600 pt-2 mt-3 space-y-1 text-xs">
+          {stale && (
+            <p className="text-yellow-400">
+              Parameters changed since this run; run again to update.
+            </p>
+          )}
+          <div className="flex justify-between">
+            <span className="text-gray-300">MPI (x, z):</span>
+            <span className="font-mono">
+              ({units.format(dispersion.result.mean.x, "length")},{" "}
+              {units.format(dispersion.result.mean.z, "length")}){" "}
+              {units.unit("length")}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-300">MPI vs nominal:</span>
+            <span className="font-mono">
+              {units.withUnit(offset.along, "length")} long,{" "}
+              {units.withUnit(offset.left, "length")} left
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-300">σ down / cross:</span>
+            <span className="font-mono">
+              {units.format(dispersion.result.sigmaDownrange, "length")} /{" "}
+              {units.withUnit(dispersion.result.sigmaCrossrange, "length")}
+            </span>
+          </div>
+          {dispersion.result.ellipses.map((ellipse, i) => (
+            <div key={ellipse.level} className="flex justify-between">
+              <span
+                style={{
+                  color: `#${ELLIPSE_COLORS[i].toString(16)}`,
+                }}
+              >
+                {ellipse.level * 100}% ellipse:
+              </span>
+              <span className="font-mono">
+                {units.format(ellipse.semiMajor, "length")} ×{" "}
+                {units.withUnit(ellipse.semiMinor, "length")}
+              </span>
+            </div>
+          ))}
+          <div className="flex justify-between">
+            <span className="text-gray-300">CEP (50% radius):</span>
+            <span className="font-mono">
+              {units.withUnit(dispersion.result.cep, "length")}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DispersionPanel;
@@ -0,0 +1,84 @@
+/**
+ * GAME PANEL
+ *
+ * Starts and quits the two-player artillery game, and shows both cannons'
+ * health and the distance between them while it runs. The turns themselves
+ * are played from the HUD over the scene.
+ *
+ * Props:
+ * - game: the running game from lib/artillery.js, or null
+ * - locked: the game cannot start or stop (a shot is in flight)
+ * - onStart()
+ * - onQuit()
+ * - units: display units from createUnits()
+ */
+import { MAX_HEALTH, PLAYERS } from "@/lib/artillery";
+
+const GamePanel = ({ game, locked, onStart, onQuit, units }) => (
+  <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+    <h3 className="font-semibold mb-3 text-rose-400 text-sm sm:text-base">
+      Artillery Game
+    </h3>
+    {!game ? (
+      <div className="space-y-2 text-xs">
+        <p className="text-gray-400">
+          Two players, one cannon each, on opposite sides of a generated
+          battlefield. Take turns to fire; every turn brings a new wind and
+          every shot leaves a crater. The first cannon to lose all its health
+          loses.
+        </p>
+        <button
+          onClick={onStart}
+          disabled={locked}
+          className="w-full p-1.5 rounded bg-rose-700 hover:bg-rose-800 disabled:bg-gray-600 font-semibold"
+        >
+          Start game
+        </button>
+      </div>
+    ) : (
+      <div className="space-y-2 text-xs sm:text-sm">
+        {PLAYERS.map((player, i) => (
+          <div key={player.name}>
+            <div className="flex justify-between">
+              <span style={{ color: player.color }}>
+                {player.name}
+                {game.turn === i && game.phase !== "over" && " ◀"}
+              </span>
+              <span className="font-mono">
+                {game.health[i]} / {MAX_HEALTH}
+              </span>
+            </div>
+            <div className="h-1.5 bg-gray-600 rounded">
+              <div
+                className="h-1.5 rounded transition-all"
+                style={{
+                  width: `${(100 * game.health[i]) / MAX_HEALTH}%`,
+                  backgroundColor: player.color,
+                }}
+              />
+            </div>
+          </div>
+        ))}
+        <div className="flex justify-between">
+          <span className="text-gray-300">Between the cannons:</span>
+          <span className="font-mono">
+            {units.withUnit(game.field.separation, "length")}
+          </span>
+        </div>
+        <p className="text-xs text-gray-400">
+          The game sets the terrain and wind, locks the cannon and projectile
+          setup and hides the path preview.
+        </p>
+        <button
+          onClick={onQuit}
+          disabled={locked}
+          className="w-full p-1 rounded text-gray-400 hover:text-white"
+        >
+          Quit game
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+export default GamePanel;
@@ -0,0 +1,207 @@
+/**
+ * KINEMATICS CHARTS
+ *
+ * Small SVG line charts of position, velocity and energy against time.
+ * The current shot is revealed up to the simulation clock with a cursor at
+ * that time; earlier shots are overlaid in a lighter shade for comparison.
+ *
+ * Props:
+ * - current: series from kinematicSeries() for the shot being shown, or null
+ * - previous: series of earlier shots to overlay
+ * - time: current simulation time in seconds
+ * - units: display units from createUnits() (SI when omitted)
+ */
+import { createUnits } from "@/lib/units";
+
+const WIDTH = 280;
+const HEIGHT = 90;
+const PAD = { left: 34, right: 6, top: 6, bottom: 14 };
+
+const CHARTS = [
+  {
+    title: "Position",
+    quantity: "length",
+    lines: [
+      { key: "x", label: "x", color: "#60a5fa" },
+      { key: "y", label: "y", color: "#4ade80" },
+    ],
+  },
+  {
+    title: "Velocity",
+    quantity: "speed",
+    lines: [
+      { key: "vx", label: "vₓ", color: "#60a5fa" },
+      { key: "vy", label: "v_y", color: "#4ade80" },
+      { key: "speed", label: "|v|", color: "#facc15" },
+    ],
+  },
+  {
+    title: "Energy",
+    quantity: "energy",
+    lines: [
+      { key: "ke", label: "KE", color: "#f87171" },
+      { key: "pe", label: "PE", color: "#a78bfa" },
+      { key: "total", label: "Total", color: "#e5e7eb" },
+    ],
+  },
+];
+
+const formatTick = (value) =>
+  Math.abs(value) >= 1000 ? `${(value / 1000).toFixed(1)}k` : value.toFixed(0);
+
+const SI = createUnits();
+
+const Chart = ({ chart, current, previous, time, units, clipId }) => {
+  const shots = current ? [current, ...previous] : previous;
+  const shown = (v) => units.toDisplay(v, chart.quantity);
+  // Shared scales so every shot is drawn against the same axes
+  let tMax = 0.001;
+  let yMin = 0;
+  let yMax = 0.001;
+  shots.forEach((series) => {
+    tMax = Math.max(tMax, series.t[series.t.length - 1]);
+    chart.lines.forEach(({ key }) => {
+      series[key].forEach((v) => {
+        yMin = Math.min(yMin, shown(v));
+        yMax = Math.max(yMax, shown(v));
+      });
+    });
+  });
+  const sx = (t) => PAD.left + (t / tMax) * (WIDTH - PAD.left - PAD.right);
+  const sy = (v) =>
+    HEIGHT -
+    PAD.bottom -
+    ((v - yMin) / (yMax - yMin)) * (HEIGHT - PAD.top - PAD.bottom);
+  const path = (series, key) =>
+    series.t
+      .map(
+        (t, i) =>
+          `${i ? "L" : "M"}${sx(t).toFixed(1)},${sy(shown(series[key][i])).toFixed(1)}`,
+      )
+      .join("");
+  const cursorX = sx(Math.min(time, tMax));
+
+  return (
+    <div>
+      <div className="flex justify-between text-gray-300 mb-1">
+        <span>
+          {chart.title} ({units.unit(chart.quantity)})
+        </span>
+        <span className="flex gap-2">
+          {chart.lines.map((line) => (
+            <span key={line.key} style={{ color: line.color }}>
+              {line.label}
+            </span>
+          ))}
+        </span>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full bg-gray-800 rounded"
+      >
+        <defs>
+          <clipPath id={clipId}>
+            <rect x="0" y="0" width={cursorX} height={HEIGHT} />
+          </clipPath>
+        </defs>
+        {/* Axes */}
+        <line
+          x1={PAD.left}
+          x2={WIDTH - PAD.right}
+          y1={sy(0)}
+          y2={sy(0)}
+          stroke="#4b5563"
+        />
+        <line
+          x1={PAD.left}
+          x2={PAD.left}
+          y1={PAD.top}
+          y2={HEIGHT - PAD.bottom}
+          stroke="#4b5563"
+        />
+        <text
+          x={PAD.left - 3}
+          y={PAD.top + 7}
+          textAnchor="end"
+          fill="#9ca3af"
+          fontSize="8"
+        >
+          {formatTick(yMax)}
+        </text>
+        <text
+          x={PAD.left - 3}
+          y={HEIGHT - PAD.bottom}
+          textAnchor="end"
+          fill="#9ca3af"
+          fontSize="8"
+        >
+          {formatTick(yMin)}
+        </text>
+        <text
+          x={WIDTH - PAD.right}
+          y={HEIGHT - 3}
+          textAnchor="end"
+          fill="#9ca3af"
+          fontSize="8"
+        >
+          {tMax.toFixed(1)} s
+        </text>
+        {/* Earlier shots, lighter */}
+        {previous.map((series, i) =>
+          chart.lines.map((line) => (
+            <path
+              key={`${i}-${line.key}`}
+              d={path(series, line.key)}
+              fill="none"
+              stroke={line.color}
+              strokeOpacity="0.25"
+              strokeWidth="1"
+            />
+          )),
+        )}
+        {/* Current shot, revealed up to the clock */}
+        {current && (
+          <g clipPath={`url(#${clipId})`}>
+            {chart.lines.map((line) => (
+              <path
+                key={line.key}
+                d={path(current, line.key)}
+                fill="none"
+                stroke={line.color}
+                strokeWidth="1.5"
+              />
+            ))}
+          </g>
+        )}
+        {current && (
+          <line
+            x1={cursorX}
+            x2={cursorX}
+            y1={PAD.top}
+            y2={HEIGHT - PAD.bottom}
+            stroke="#f9fafb"
+            strokeDasharray="2 2"
+          />
+        )}
+      </svg>
+    </div>
+  );
+};
+
+const KinematicsCharts = ({ current, previous, time, units = SI }) => (
+  <div className="space-y-3 text-xs">
+    {CHARTS.map((chart, i) => (
+      <Chart
+        key={chart.title}
+        chart={chart}
+        current={current}
+        previous={previous}
+        time={time}
+        units={units}
+        clipId={`kinematics-clip-${i}`}
+      />
+    ))}
+  </div>
+);
+
+export default KinematicsCharts;
@@ -0,0 +1,224 @@
+import { useState } from "react";
+
+/**
+ * LESSON PANEL
+ *
+ * Picks a built-in lesson or loads one from a JSON file, then walks through
+ * its challenges: the predictions, hints, score and the step to the next
+ * one. The running lesson belongs to the page, which sets up and fires each
+ * challenge; the choice of lesson and any load error are kept here.
+ *
+ * Props:
+ * - lesson: the running lesson ({ lesson, index, predictions, hints, phase,
+ *   check, scores }), or null
+ * - startLocked: no lesson can start (a shot is in flight or a game is on)
+ * - onStart(lessonDef): starts a lesson at its first challenge
+ * - setup: { angle, v0, height, gravity } of the current challenge
+ * - onPredictionChange(key, value): value as typed, in display units
+ * - onHint(): reveals the next hint
+ * - fireReady: every prediction is filled in and the cannon is free
+ * - onFire(): fires the challenge shot and scores the predictions
+ * - onNext(): moves to the next challenge
+ * - onExit()
+ * - onShowEquation(id): highlights an equation a hint refers to
+ * - units: display units from createUnits()
+ */
+import { LESSONS, PREDICTIONS, parseLesson } from "@/lib/lessons";
+
+const LessonPanel = ({
+  lesson,
+  startLocked,
+  onStart,
+  setup,
+  onPredictionChange,
+  onHint,
+  fireReady,
+  onFire,
+  onNext,
+  onExit,
+  onShowEquation,
+  units,
+}) => {
+  const [choice, setChoice] = useState(LESSONS[0].id);
+  const [loadError, setLoadError] = useState(null);
+  const chosen = LESSONS.find((def) => def.id === choice);
+  const challenge = lesson ? lesson.lesson.challenges[lesson.index] : null;
+  const start = (lessonDef) => {
+    setLoadError(null);
+    onStart(lessonDef);
+  };
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      start(parseLesson(await file.text()));
+    } catch (error) {
+      setLoadError(error.message);
+    }
+  };
+  return (
+    <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+      <h3 className="font-semibold mb-3 text-lime-400 text-sm sm:text-base">
+        Lesson: Predict, then Fire
+      </h3>
+      {!lesson ? (
+        <div className="space-y-2 text-xs">
+          <select
+            value={choice}
+            onChange={(e) => setChoice(e.target.value)}
+            className="w-full p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+          >
+            {LESSONS.map((def) => (
+              <option key={def.id} value={def.id}>
+                {def.title} ({def.challenges.length})
+              </option>
+            ))}
+          </select>
+          <p className="text-gray-400">{chosen?.description}</p>
+          <button
+            onClick={() => start(chosen)}
+            disabled={startLocked}
+            className="w-full p-1.5 rounded bg-lime-700 hover:bg-lime-800 disabled:bg-gray-600 font-semibold"
+          >
+            Start lesson
+          </button>
+          <label className="block text-gray-300">
+            Or load a lesson (JSON)
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                importFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+              className="block w-full mt-1 text-xs text-gray-300 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:bg-gray-600 file:text-white"
+            />
+          </label>
+          {loadError && <p className="text-red-400">{loadError}</p>}
+        </div>
+      ) : (
+        <div className="space-y-2 text-xs">
+          <div className="flex justify-between text-gray-300">
+            <span className="font-semibold">{lesson.lesson.title}</span>
+            <span>
+              {lesson.index + 1} / {lesson.lesson.challenges.length}
+            </span>
+          </div>
+          <p className="font-semibold text-lime-300">{challenge.title}</p>
+          <p className="text-gray-200">{challenge.prompt}</p>
+          <p className="text-gray-400 font-mono">
+            θ = {units.format(setup.angle, null, 1)}°, v₀ ={" "}
+            {units.withUnit(setup.v0, "speed", 1)}, y₀ ={" "}
+            {units.withUnit(setup.height, "length")}, g ={" "}
+            {units.withUnit(setup.gravity, "acceleration")}
+          </p>
+          {challenge.ask.map((key) => {
+            const result = lesson.check?.results.find((r) => r.key === key);
+            return (
+              <div key={key}>
+                <label className="flex items-center justify-between gap-2 text-gray-300">
+                  {PREDICTIONS[key].label} (
+                  {units.unit(PREDICTIONS[key].quantity)})
+                  <input
+                    type="number"
+                    step="any"
+                    value={lesson.predictions[key] ?? ""}
+                    onChange={(e) => onPredictionChange(key, e.target.value)}
+                    disabled={lesson.phase !== "predict"}
+                    className="w-24 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  />
+                </label>
+                {lesson.phase === "revealed" && result && (
+                  <div className="flex justify-between font-mono text-gray-300">
+                    <span>
+                      actual{" "}
+                      {units.withUnit(result.actual, PREDICTIONS[key].quantity)}
+                      , {(result.relativeError * 100).toFixed(1)}% off
+                    </span>
+                    <span
+                      className={
+                        result.score === 100
+                          ? "text-green-400"
+                          : result.score > 0
+                            ? "text-yellow-400"
+                            : "text-red-400"
+                      }
+                    >
+                      {result.score} pts
+                    </span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {challenge.hints.slice(0, lesson.hints).map((hint, i) => (
+            <div key={i} className="bg-gray-800 rounded p-2 text-gray-300">
+              💡 {hint.text}
+              {hint.equation && (
+                <button
+                  onClick={() => onShowEquation(hint.equation)}
+                  className="block mt-1 text-purple-300 hover:text-purple-200 underline"
+                >
+                  Show in Equations
+                </button>
+              )}
+            </div>
+          ))}
+          {lesson.phase === "predict" && (
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={onHint}
+                disabled={lesson.hints >= challenge.hints.length}
+                className="p-1.5 rounded bg-gray-600 hover:bg-gray-500 disabled:text-gray-400"
+              >
+                Hint ({challenge.hints.length - lesson.hints} left)
+              </button>
+              <button
+                onClick={onFire}
+                disabled={!fireReady}
+                className="p-1.5 rounded bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:text-gray-400 font-semibold"
+              >
+                🔥 Fire &amp; check
+              </button>
+            </div>
+          )}
+          {lesson.phase === "flying" && (
+            <p className="text-yellow-400">Watch the shot…</p>
+          )}
+          {lesson.phase === "revealed" && (
+            <div className="border-t border-gray-600 pt-2 space-y-2">
+              <div className="flex justify-between font-semibold">
+                <span>Challenge score:</span>
+                <span>{lesson.check.score} / 100</span>
+              </div>
+              <div className="flex justify-between text-gray-300">
+                <span>Lesson total:</span>
+                <span>
+                  {lesson.scores.reduce((sum, score) => sum + score, 0)} /{" "}
+                  {lesson.scores.length * 100}
+                </span>
+              </div>
+              {lesson.index + 1 < lesson.lesson.challenges.length ? (
+                <button
+                  onClick={onNext}
+                  className="w-full p-1.5 rounded bg-lime-700 hover:bg-lime-800 font-semibold"
+                >
+                  Next challenge →
+                </button>
+              ) : (
+                <p className="text-lime-300">Lesson complete!</p>
+              )}
+            </div>
+          )}
+          <button
+            onClick={onExit}
+            className="w-full p-1 rounded text-gray-400 hover:text-white"
+          >
+            Exit lesson
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LessonPanel;
@@ -0,0 +1,173 @@
+/**
+ * MEASURE PANEL
+ *
+ * Picks the measuring tool (ruler, height gauge or path inspector) and shows
+ * its reading. The tools themselves live in the scene, so their points and
+ * readings come from the page.
+ *
+ * Props:
+ * - tool: the active key of MEASURE_TOOLS, or null
+ * - onChooseTool(key): selects a tool, or deselects the active one
+ * - lockedReason: why the tools are off right now, or null
+ * - rulerPoints: up to two { x, y, z } clicked for the ruler
+ * - onClearRuler()
+ * - gaugeDistance: metres along the aim the height gauge stands at
+ * - onGaugeDistanceChange(distance)
+ * - gaugeReading: the path where it crosses the gauge, or null if it does not
+ * - gaugeBase: the ground point under the gauge
+ * - pinnedPoint: point clicked on the path with the inspector, or null
+ * - units: display units from createUnits()
+ */
+import { MEASURE_TOOLS, rulerReading } from "@/lib/measure";
+import { FIELD_SIZE } from "@/lib/terrain";
+
+/**
+ * Name and formatted value of each reading of a path point, as given by
+ * trajectoryPointAt()
+ */
+export const pointReadout = (point, units) => [
+  ["t", units.withUnit(point.t, "time")],
+  ["x", units.withUnit(point.along, "length")],
+  ["y", units.withUnit(point.y, "length")],
+  ["speed", units.withUnit(point.speed, "speed")],
+];
+
+const MeasurePanel = ({
+  tool,
+  onChooseTool,
+  lockedReason,
+  rulerPoints,
+  onClearRuler,
+  gaugeDistance,
+  onGaugeDistanceChange,
+  gaugeReading,
+  gaugeBase,
+  pinnedPoint,
+  units,
+}) => (
+  <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+    <h3 className="font-semibold mb-3 text-lime-400 text-sm sm:text-base">
+      Measure
+    </h3>
+    <div className="grid grid-cols-3 gap-1 mb-2">
+      {Object.entries(MEASURE_TOOLS).map(([key, label]) => (
+        <button
+          key={key}
+          onClick={() => onChooseTool(key)}
+          disabled={lockedReason !== null}
+          className={`px-1 py-1 rounded text-xs ${
+            tool === key
+              ? "bg-blue-600"
+              : "bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+    <div className="space-y-1 text-xs">
+      {lockedReason && <p className="text-gray-400">{lockedReason}</p>}
+      {tool === "ruler" && (
+        <>
+          <p className="text-gray-400">
+            Click two points on the ground or the path; a third click starts a
+            new measurement.
+          </p>
+          {rulerPoints.length === 2 &&
+            [
+              ["Distance", "distance"],
+              ["Horizontal", "horizontal"],
+              ["Vertical", "vertical"],
+            ].map(([label, key]) => (
+              <div key={key} className="flex justify-between">
+                <span className="text-gray-300">{label}:</span>
+                <span className="font-mono">
+                  {units.withUnit(rulerReading(...rulerPoints)[key], "length")}
+                </span>
+              </div>
+            ))}
+          {rulerPoints.length > 0 && (
+            <button
+              onClick={onClearRuler}
+              className="w-full mt-1 py-1 rounded bg-gray-600 hover:bg-gray-500"
+            >
+              Clear ruler
+            </button>
+          )}
+        </>
+      )}
+      {tool === "gauge" && (
+        <>
+          <p className="text-gray-400">
+            Drag the gauge along the aim, or click where it should stand.
+          </p>
+          <label className="flex items-center justify-between gap-2 text-gray-300">
+            Distance ({units.unit("length")})
+            <input
+              type="number"
+              min="0"
+              max={units.input(FIELD_SIZE / 2, "length")}
+              step="0.1"
+              value={units.input(gaugeDistance, "length")}
+              onChange={(e) => {
+                const val = units.parse(
+                  e.target.value,
+                  "length",
+                  0,
+                  FIELD_SIZE / 2,
+                );
+                if (val !== null) {
+                  onGaugeDistanceChange(val);
+                }
+              }}
+              className="w-24 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+            />
+          </label>
+          {gaugeReading ? (
+            <>
+              <div className="flex justify-between">
+                <span className="text-gray-300">Path height y:</span>
+                <span className="font-mono">
+                  {units.withUnit(gaugeReading.y, "length")}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-300">Above ground:</span>
+                <span className="font-mono">
+                  {units.withUnit(gaugeReading.y - gaugeBase.y, "length")}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-300">Reached at:</span>
+                <span className="font-mono">
+                  t = {units.withUnit(gaugeReading.t, "time")}
+                </span>
+              </div>
+            </>
+          ) : (
+            <p className="text-yellow-400">
+              The path does not reach this distance.
+            </p>
+          )}
+        </>
+      )}
+      {tool === "inspect" && (
+        <>
+          <p className="text-gray-400">
+            Hover over the green path to read it; click to pin a point. x is
+            measured along the aim.
+          </p>
+          {pinnedPoint &&
+            pointReadout(pinnedPoint, units).map(([name, value]) => (
+              <div key={name} className="flex justify-between">
+                <span className="text-gray-300">{name}:</span>
+                <span className="font-mono">{value}</span>
+              </div>
+            ))}
+        </>
+      )}
+    </div>
+  </div>
+);
+
+export default MeasurePanel;
@@ -0,0 +1,191 @@
+import { useEffect, useEffectEvent, useState } from "react";
+
+/**
+ * SCENARIO LIBRARY PANEL
+ *
+ * Saves the current setup under a name, and loads, renames, deletes, exports
+ * and imports the saved ones. The library lives in localStorage and is read
+ * here on mount; the page only hands over its current scenario and applies
+ * the ones loaded back.
+ *
+ * Props:
+ * - scenario: the current setup, as captured by the page
+ * - onLoad(scenario): applies a saved scenario
+ * - loadLocked: loading is refused while a shot is in flight
+ * - onDownload(name, data, type): saves a file
+ */
+import {
+  addScenario,
+  deleteScenario,
+  exportLibrary,
+  importLibrary,
+  loadLibrary,
+  renameScenario,
+  saveLibrary,
+} from "@/lib/scenarios";
+
+const ScenarioLibraryPanel = ({ scenario, onLoad, loadLocked, onDownload }) => {
+  const [library, setLibrary] = useState([]); // saved scenarios, newest first
+  const [name, setName] = useState("");
+  const [renaming, setRenaming] = useState(null); // { id, name } being edited
+  const [message, setMessage] = useState(null);
+  // localStorage only exists in the browser, so read it after mounting
+  const openLibrary = useEffectEvent(() => setLibrary(loadLibrary()));
+  useEffect(() => {
+    openLibrary();
+  }, []);
+  const update = (next) => {
+    setLibrary(next);
+    saveLibrary(next);
+  };
+  const save = () => {
+    const label = name.trim() || `Scenario ${library.length + 1}`;
+    update(addScenario(library, label, scenario));
+    setName("");
+    setMessage(`Saved "${label}"`);
+  };
+  const load = (entry) => {
+    if (loadLocked) return;
+    onLoad(entry.scenario);
+    setMessage(`Loaded "${entry.name}"`);
+  };
+  const commitRename = () => {
+    update(renameScenario(library, renaming.id, renaming.name));
+    setRenaming(null);
+  };
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setMessage("Link copied");
+    } catch {
+      setMessage("Copy the link from the address bar");
+    }
+  };
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = importLibrary(await file.text());
+      update([...imported, ...library]);
+      setMessage(`Imported ${imported.length} scenario(s)`);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+  return (
+    <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-lime-400 text-sm sm:text-base">
+          Scenarios
+        </h3>
+        <button
+          onClick={copyLink}
+          className="px-2 py-1 rounded text-xs bg-gray-600 hover:bg-gray-500"
+        >
+          Copy link
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 mb-2">
+        The page link always holds the current setup.
+      </p>
+      <div className="flex gap-2 mb-2">
+        <input
+          type="text"
+          placeholder="Scenario name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && save()}
+          className="flex-1 min-w-0 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+        />
+        <button
+          onClick={save}
+          className="px-2 py-1 rounded text-xs bg-lime-700 hover:bg-lime-600"
+        >
+          Save
+        </button>
+      </div>
+      {library.length === 0 ? (
+        <p className="text-xs text-gray-400">No saved scenarios yet.</p>
+      ) : (
+        <ul className="space-y-1 text-xs max-h-48 overflow-y-auto">
+          {library.map((entry) => (
+            <li
+              key={entry.id}
+              className="flex items-center gap-1 bg-gray-800 rounded px-2 py-1"
+            >
+              {renaming?.id === entry.id ? (
+                <input
+                  type="text"
+                  autoFocus
+                  value={renaming.name}
+                  onChange={(e) =>
+                    setRenaming({ ...renaming, name: e.target.value })
+                  }
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") commitRename();
+                    if (e.key === "Escape") setRenaming(null);
+                  }}
+                  onBlur={commitRename}
+                  className="flex-1 min-w-0 p-0.5 bg-gray-600 border border-gray-500 rounded text-white focus:outline-none focus:border-blue-500"
+                />
+              ) : (
+                <span className="flex-1 truncate" title={entry.name}>
+                  {entry.name}
+                </span>
+              )}
+              <button
+                onClick={() => load(entry)}
+                disabled={loadLocked}
+                className="px-1.5 rounded bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+              >
+                Load
+              </button>
+              <button
+                onClick={() => setRenaming({ id: entry.id, name: entry.name })}
+                className="px-1.5 rounded bg-gray-600 hover:bg-gray-500"
+              >
+                Rename
+              </button>
+              <button
+                onClick={() => update(deleteScenario(library, entry.id))}
+                className="px-1.5 rounded text-red-300 hover:bg-red-900"
+                title="Delete"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="grid grid-cols-2 gap-2 text-xs mt-3">
+        <button
+          onClick={() =>
+            onDownload(
+              "scenarios.json",
+              exportLibrary(library),
+              "application/json",
+            )
+          }
+          disabled={library.length === 0}
+          className="p-1.5 rounded bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+        >
+          Export library
+        </button>
+        <label className="p-1.5 rounded bg-gray-600 hover:bg-gray-500 text-center cursor-pointer">
+          Import library
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+            className="hidden"
+          />
+        </label>
+      </div>
+      {message && <p className="text-xs text-gray-300 mt-2">{message}</p>}
+    </div>
+  );
+};
+
+export default ScenarioLibraryPanel;
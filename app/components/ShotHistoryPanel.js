@@ -0,0 +1,172 @@
+import { useState } from "react";
+
+/**
+ * SHOT HISTORY PANEL
+ *
+ * Lists the fired shots with their ghost toggles and pins, and compares any
+ * two of them side by side. Which shots are being compared is kept here.
+ *
+ * Props:
+ * - history: entries from lib/history.js, newest first
+ * - predicting: a lesson prediction is pending, so the list stays hidden
+ * - showGhosts: whether the ghost trajectories are drawn
+ * - onShowGhostsChange(show)
+ * - onUpdate(id, changes): changes an entry (visible, pinned)
+ * - onClear(): drops every shot that is not pinned
+ * - units: display units from createUnits()
+ */
+import { compareShots } from "@/lib/history";
+
+// Rows of the two-shot comparison table
+const COMPARE_ROWS = {
+  range: { label: "Range", quantity: "length" },
+  maxHeight: { label: "Apex", quantity: "length" },
+  timeOfFlight: { label: "Flight", quantity: "time" },
+};
+
+const ShotHistoryPanel = ({
+  history,
+  predicting,
+  showGhosts,
+  onShowGhostsChange,
+  onUpdate,
+  onClear,
+  units,
+}) => {
+  const [compareIds, setCompareIds] = useState([]);
+  const toggleCompare = (id) => {
+    setCompareIds((prev) =>
+      prev.includes(id)
+        ? prev.filter((other) => other !== id)
+        : [...prev, id].slice(-2),
+    );
+  };
+  const clear = () => {
+    // Pinned shots survive a clear, and stay compared
+    setCompareIds((prev) =>
+      prev.filter((id) =>
+        history.some((entry) => entry.id === id && entry.pinned),
+      ),
+    );
+    onClear();
+  };
+  const comparedShots = compareIds
+    .map((id) => history.find((entry) => entry.id === id))
+    .filter(Boolean);
+  return (
+    <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-pink-400 text-sm sm:text-base">
+          Shot History
+        </h3>
+        <div className="flex items-center gap-2 text-xs">
+          <label className="flex items-center gap-1 text-gray-300">
+            <input
+              type="checkbox"
+              checked={showGhosts}
+              disabled={predicting}
+              onChange={(e) => onShowGhostsChange(e.target.checked)}
+            />
+            Ghosts
+          </label>
+          <button
+            onClick={clear}
+            className="px-2 py-0.5 rounded bg-gray-600 hover:bg-gray-500"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+      {predicting ? (
+        <p className="text-xs text-gray-400">
+          Available once the lesson answer is revealed.
+        </p>
+      ) : history.length === 0 ? (
+        <p className="text-xs text-gray-400">
+          Fired shots appear here. Tick two to compare them.
+        </p>
+      ) : (
+        <ul className="space-y-1 max-h-48 overflow-y-auto text-xs">
+          {history.map((entry) => (
+            <li key={entry.id} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={compareIds.includes(entry.id)}
+                onChange={() => toggleCompare(entry.id)}
+                title="Compare"
+              />
+              <span
+                className="w-3 h-3 rounded-full shrink-0"
+                style={{ backgroundColor: entry.color }}
+              />
+              <span className="flex-1 font-mono truncate">
+                {entry.label} {units.format(entry.params.angle, null, 1)}° ·{" "}
+                {units.withUnit(entry.params.velocity, "speed", 1)} → R{" "}
+                {units.withUnit(entry.results.range, "length", 1)}
+              </span>
+              <button
+                onClick={() =>
+                  onUpdate(entry.id, {
+                    visible: !entry.visible,
+                  })
+                }
+                className={entry.visible ? "" : "opacity-30"}
+                title={entry.visible ? "Hide ghost" : "Show ghost"}
+              >
+                👁
+              </button>
+              <button
+                onClick={() => onUpdate(entry.id, { pinned: !entry.pinned })}
+                className={entry.pinned ? "" : "opacity-30"}
+                title={entry.pinned ? "Unpin" : "Pin"}
+              >
+                📌
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {comparedShots.length === 2 && !predicting && (
+        <table className="w-full mt-3 text-xs font-mono border-t border-gray-600">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left font-normal pt-2"></th>
+              {comparedShots.map((entry) => (
+                <th
+                  key={entry.id}
+                  className="text-right font-normal pt-2"
+                  style={{ color: entry.color }}
+                >
+                  {entry.label}
+                </th>
+              ))}
+              <th className="text-right font-normal pt-2">Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {compareShots(...comparedShots).map((row) => (
+              <tr key={row.key}>
+                <td className="text-gray-300">
+                  {COMPARE_ROWS[row.key].label} (
+                  {units.unit(COMPARE_ROWS[row.key].quantity)})
+                </td>
+                <td className="text-right">
+                  {units.format(row.a, COMPARE_ROWS[row.key].quantity)}
+                </td>
+                <td className="text-right">
+                  {units.format(row.b, COMPARE_ROWS[row.key].quantity)}
+                </td>
+                <td className="text-right">
+                  {row.delta >= 0 ? "+" : ""}
+                  {units.format(row.delta, COMPARE_ROWS[row.key].quantity)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ShotHistoryPanel;
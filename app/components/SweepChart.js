@@ -0,0 +1,195 @@
+import { useState } from "react";
+
+/**
+ * SWEEP CHART
+ *
+ * Range and apex height against the swept launch parameter. Marks the
+ * farthest shot and the cannon's current value; hovering reads off a point
+ * and clicking sets the cannon to it.
+ *
+ * Props:
+ * - sweep: result of sweepParameter()
+ * - current: the cannon's current value of the swept parameter
+ * - unit: unit of the swept parameter, for labels
+ * - quantity: what the swept parameter measures (lib/units.js), or null when
+ *   it is shown as is; given a quantity, `unit` is taken from `units`
+ * - units: display units from createUnits() (SI when omitted)
+ * - onSelect(value): called with the parameter value (SI) under a click
+ */
+import { createUnits } from "@/lib/units";
+
+const WIDTH = 280;
+const HEIGHT = 150;
+const PAD = { left: 34, right: 8, top: 8, bottom: 18 };
+const RANGE_COLOR = "#60a5fa";
+const APEX_COLOR = "#4ade80";
+
+const formatTick = (value) =>
+  Math.abs(value) >= 1000 ? `${(value / 1000).toFixed(1)}k` : value.toFixed(0);
+
+const SI = createUnits();
+
+const SweepChart = ({
+  sweep,
+  current: currentSi,
+  unit: fixedUnit,
+  quantity = null,
+  units = SI,
+  onSelect,
+}) => {
+  const [hover, setHover] = useState(null);
+  const unit = quantity ? ` ${units.unit(quantity)}` : fixedUnit;
+  const length = units.unit("length");
+  // Everything below is drawn in display units; `si` is the swept value to
+  // hand back on a click
+  const shown = (p) => ({
+    si: p.value,
+    value: units.toDisplay(p.value, quantity),
+    range: units.toDisplay(p.range, "length"),
+    apex: units.toDisplay(p.apex, "length"),
+  });
+  const points = sweep.points.map(shown);
+  const best = shown(sweep.best);
+  const current = units.toDisplay(currentSi, quantity);
+  const from = points[0].value;
+  const to = points[points.length - 1].value;
+  const yMax = Math.max(0.001, ...points.map((p) => Math.max(p.range, p.apex)));
+  const sx = (v) =>
+    PAD.left + ((v - from) / (to - from || 1)) * (WIDTH - PAD.left - PAD.right);
+  const sy = (v) =>
+    HEIGHT - PAD.bottom - (v / yMax) * (HEIGHT - PAD.top - PAD.bottom);
+  const path = (key) =>
+    points
+      .map(
+        (p, i) =>
+          `${i ? "L" : "M"}${sx(p.value).toFixed(1)},${sy(p[key]).toFixed(1)}`,
+      )
+      .join("");
+  // Nearest sample to the pointer, in parameter units
+  const pointAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const f = (x - PAD.left) / (WIDTH - PAD.left - PAD.right);
+    const i = Math.round(Math.min(Math.max(f, 0), 1) * (points.length - 1));
+    return points[i];
+  };
+  const currentInSpan =
+    current >= Math.min(from, to) && current <= Math.max(from, to);
+
+  return (
+    <div className="text-xs">
+      <div className="flex justify-between text-gray-300 mb-1">
+        <span className="flex gap-2">
+          <span style={{ color: RANGE_COLOR }}>Range</span>
+          <span style={{ color: APEX_COLOR }}>Apex</span>
+        </span>
+        <span className="font-mono text-gray-400">
+          {hover
+            ? `${hover.value.toFixed(1)}${unit}: ${hover.range.toFixed(1)} / ${hover.apex.toFixed(1)} ${length}`
+            : "click to set"}
+        </span>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full bg-gray-800 rounded cursor-crosshair"
+        onMouseMove={(e) => setHover(pointAt(e))}
+        onMouseLeave={() => setHover(null)}
+        onClick={(e) => onSelect(pointAt(e).si)}
+      >
+        {/* Axes */}
+        <line
+          x1={PAD.left}
+          x2={WIDTH - PAD.right}
+          y1={sy(0)}
+          y2={sy(0)}
+          stroke="#4b5563"
+        />
+        <line
+          x1={PAD.left}
+          x2={PAD.left}
+          y1={PAD.top}
+          y2={sy(0)}
+          stroke="#4b5563"
+        />
+        <text
+          x={PAD.left - 3}
+          y={PAD.top + 7}
+          textAnchor="end"
+          fill="#9ca3af"
+          fontSize="8"
+        >
+          {formatTick(yMax)} {length}
+        </text>
+        <text
+          x={PAD.left}
+          y={HEIGHT - 5}
+          textAnchor="middle"
+          fill="#9ca3af"
+          fontSize="8"
+        >
+          {from.toFixed(0)}
+        </text>
+        <text
+          x={WIDTH - PAD.right}
+          y={HEIGHT - 5}
+          textAnchor="end"
+          fill="#9ca3af"
+          fontSize="8"
+        >
+          {to.toFixed(0)}
+          {unit}
+        </text>
+        <path
+          d={path("range")}
+          fill="none"
+          stroke={RANGE_COLOR}
+          strokeWidth="1.5"
+        />
+        <path
+          d={path("apex")}
+          fill="none"
+          stroke={APEX_COLOR}
+          strokeWidth="1.5"
+        />
+        {/* Current slider value */}
+        {currentInSpan && (
+          <line
+            x1={sx(current)}
+            x2={sx(current)}
+            y1={PAD.top}
+            y2={sy(0)}
+            stroke="#f9fafb"
+            strokeDasharray="2 2"
+          />
+        )}
+        {/* Farthest shot */}
+        <circle
+          cx={sx(best.value)}
+          cy={sy(best.range)}
+          r="3.5"
+          fill="#facc15"
+        />
+        <text
+          x={Math.min(sx(best.value), WIDTH - 70)}
+          y={Math.max(sy(best.range) - 6, PAD.top + 6)}
+          fill="#facc15"
+          fontSize="8"
+        >
+          max {best.range.toFixed(1)} {length} @ {best.value.toFixed(1)}
+          {unit}
+        </text>
+        {hover && (
+          <circle
+            cx={sx(hover.value)}
+            cy={sy(hover.range)}
+            r="2.5"
+            fill="none"
+            stroke="#f9fafb"
+          />
+        )}
+      </svg>
+    </div>
+  );
+};
+
+export default SweepChart;
@@ -0,0 +1,120 @@
+import { useMemo, useState } from "react";
+
+/**
+ * SWEEP PANEL
+ *
+ * Picks the launch parameter to sweep and its span, charts range and apex
+ * across it with SweepChart, and switches the family of trajectories in the
+ * scene on and off. The sweep settings are kept here; the page only holds
+ * the span drawn as a family, which the panel starts from when it remounts.
+ *
+ * Props:
+ * - launch: { angle, v0, mountHeight, barrelLength, gravity } of the cannon
+ * - onSelect(parameter, value): sets the cannon's angle or speed (SI) from
+ *   a click on the chart
+ * - family: { parameter, from, to } drawn as a family of trajectories, or
+ *   null when none is
+ * - onFamilyChange(span): the span to draw, or null to hide it
+ * - units: display units from createUnits()
+ */
+import SweepChart from "@/app/components/SweepChart";
+import { SWEEP_PARAMETERS, sweepParameter } from "@/lib/sweep";
+
+const DEFAULT_SPAN = { parameter: "angle", from: 15, to: 90 };
+
+const SweepPanel = ({ launch, onSelect, family, onFamilyChange, units }) => {
+  const [config, setConfig] = useState(family ?? DEFAULT_SPAN);
+  const { angle, v0, mountHeight, barrelLength, gravity } = launch;
+  const sweep = useMemo(
+    () =>
+      sweepParameter({
+        ...config,
+        angle,
+        v0,
+        mountHeight,
+        barrelLength,
+        gravity,
+      }),
+    [config, angle, v0, mountHeight, barrelLength, gravity],
+  );
+  const changeConfig = (next) => {
+    setConfig(next);
+    if (family) onFamilyChange(next);
+  };
+  const toggleFamily = (show) => {
+    onFamilyChange(show ? config : null);
+  };
+  return (
+    <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+      <h3 className="font-semibold mb-3 text-sky-400 text-sm sm:text-base">
+        Parameter Sweep
+      </h3>
+      <div className="grid grid-cols-2 gap-1 mb-2">
+        {Object.entries(SWEEP_PARAMETERS).map(([key, { label, min, max }]) => (
+          <button
+            key={key}
+            onClick={() => changeConfig({ parameter: key, from: min, to: max })}
+            className={`px-2 py-1 rounded text-xs ${
+              config.parameter === key
+                ? "bg-blue-600"
+                : "bg-gray-600 hover:bg-gray-500"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-2 text-xs sm:text-sm mb-3">
+        {[
+          ["from", "From"],
+          ["to", "To"],
+        ].map(([key, label]) => {
+          const { min, max, unit, quantity } =
+            SWEEP_PARAMETERS[config.parameter];
+          return (
+            <label key={key} className="flex flex-col text-gray-300">
+              {label} ({quantity ? units.unit(quantity) : unit})
+              <input
+                type="number"
+                min={units.input(min, quantity)}
+                max={units.input(max, quantity)}
+                step="1"
+                value={units.input(config[key], quantity)}
+                onChange={(e) => {
+                  const val = units.parse(e.target.value, quantity, min, max);
+                  const next = { ...config, [key]: val };
+                  if (val !== null && next.from < next.to) {
+                    changeConfig(next);
+                  }
+                }}
+                className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+              />
+            </label>
+          );
+        })}
+      </div>
+      <SweepChart
+        sweep={sweep}
+        current={config.parameter === "angle" ? launch.angle : launch.v0}
+        unit={SWEEP_PARAMETERS[config.parameter].unit}
+        quantity={SWEEP_PARAMETERS[config.parameter].quantity}
+        units={units}
+        onSelect={(value) => onSelect(config.parameter, value)}
+      />
+      <p className="text-xs text-gray-400 mt-2">
+        Vacuum, level ground at the cannon base, launched from the muzzle. The
+        dashed line is the current value.
+      </p>
+      <label className="flex items-center justify-between text-xs sm:text-sm text-gray-300 mt-2">
+        Show family of trajectories
+        <input
+          type="checkbox"
+          checked={family !== null}
+          onChange={(e) => toggleFamily(e.target.checked)}
+        />
+      </label>
+    </div>
+  );
+};
+
+export default SweepPanel;
@@ -0,0 +1,123 @@
+import { useState } from "react";
+
+/**
+ * TRAJECTORY DATA PANEL
+ *
+ * Exports the computed trajectory as CSV or JSON and imports measured
+ * (t, x, y) points from a CSV to compare against it, with the residual
+ * statistics of the comparison.
+ *
+ * Props:
+ * - onExport(format): saves the trajectory, "csv" or "json"
+ * - measured: { name, points } imported from a CSV, or null
+ * - residuals: measurementResiduals() of `measured` against the path, or null
+ * - onImport(measured): called with a successfully parsed file
+ * - onClearMeasured()
+ * - units: display units from createUnits(), also those of the files
+ */
+import { parseMeasuredCsv } from "@/lib/trajectoryData";
+
+const TrajectoryDataPanel = ({
+  onExport,
+  measured,
+  residuals,
+  onImport,
+  onClearMeasured,
+  units,
+}) => {
+  const [importError, setImportError] = useState(null);
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const points = parseMeasuredCsv(await file.text(), units);
+      onImport({ name: file.name, points });
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+  return (
+    <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+      <h3 className="font-semibold mb-3 text-fuchsia-400 text-sm sm:text-base">
+        Trajectory Data
+      </h3>
+      <div className="grid grid-cols-2 gap-2 text-xs mb-3">
+        <button
+          onClick={() => onExport("csv")}
+          className="p-1.5 rounded bg-gray-600 hover:bg-gray-500"
+        >
+          Export CSV
+        </button>
+        <button
+          onClick={() => onExport("json")}
+          className="p-1.5 rounded bg-gray-600 hover:bg-gray-500"
+        >
+          Export JSON
+        </button>
+      </div>
+      <label className="block text-xs text-gray-300">
+        Import measured (t, x, y) CSV
+        <input
+          type="file"
+          accept=".csv,text/csv,text/plain"
+          onChange={(e) => {
+            importFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+          className="block w-full mt-1 text-xs text-gray-300 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:bg-gray-600 file:text-white"
+        />
+      </label>
+      <p className="text-xs text-gray-400 mt-1">
+        x is the distance along the aim from the cannon, y the height, both in{" "}
+        {units.unit("length")}; t in s. Exports use the same units.
+      </p>
+      {importError && (
+        <p className="text-xs text-red-400 mt-2">{importError}</p>
+      )}
+      {measured && residuals && (
+        <div className="border-t border-gray-600 pt-2 mt-2 space-y-1 text-xs text-fuchsia-300">
+          <div className="flex justify-between">
+            <span className="truncate mr-2">{measured.name}</span>
+            <button
+              onClick={onClearMeasured}
+              className="text-gray-400 hover:text-white"
+            >
+              Clear
+            </button>
+          </div>
+          <div className="flex justify-between">
+            <span>Points:</span>
+            <span className="font-mono">{residuals.count}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>RMS error:</span>
+            <span className="font-mono">
+              {units.withUnit(residuals.rms, "length", 3)}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span>Mean Δx / Δy:</span>
+            <span className="font-mono">
+              {units.format(residuals.meanDx, "length", 3)} /{" "}
+              {units.withUnit(residuals.meanDy, "length", 3)}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span>Worst:</span>
+            <span className="font-mono">
+              {units.withUnit(residuals.worst.error, "length", 3)} at t ={" "}
+              {units.withUnit(residuals.worst.t, "time")}
+            </span>
+          </div>
+          {residuals.late > 0 && (
+            <p className="text-gray-400">
+              {residuals.late} point(s) after the computed shot came to rest.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrajectoryDataPanel;
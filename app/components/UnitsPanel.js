@@ -0,0 +1,60 @@
+/**
+ * UNITS PANEL
+ *
+ * Picks the unit system and display precision used by readouts, inputs,
+ * charts and exported files.
+ *
+ * Props:
+ * - display: { system, sigFigs } as passed to createUnits()
+ * - onChange(display): called with the new settings
+ */
+import { SIG_FIG_OPTIONS, UNIT_SYSTEMS } from "@/lib/units";
+
+const UnitsPanel = ({ display, onChange }) => (
+  <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+    <h3 className="font-semibold mb-3 text-cyan-400 text-sm sm:text-base">
+      Units &amp; Precision
+    </h3>
+    <div className="grid grid-cols-2 gap-2 text-xs sm:text-sm">
+      <label className="flex flex-col text-gray-300">
+        Units
+        <select
+          value={display.system}
+          onChange={(e) => onChange({ ...display, system: e.target.value })}
+          className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+        >
+          {Object.entries(UNIT_SYSTEMS).map(([key, system]) => (
+            <option key={key} value={key}>
+              {system.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col text-gray-300">
+        Precision
+        <select
+          value={display.sigFigs ?? ""}
+          onChange={(e) =>
+            onChange({
+              ...display,
+              sigFigs: e.target.value ? Number(e.target.value) : null,
+            })
+          }
+          className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+        >
+          {SIG_FIG_OPTIONS.map((sig) => (
+            <option key={sig ?? "fixed"} value={sig ?? ""}>
+              {sig ? `${sig} significant figures` : "Fixed decimals"}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+    <p className="text-xs text-gray-400 mt-2">
+      Readouts, inputs, charts and exported files use these units; the
+      simulation itself always runs in SI.
+    </p>
+  </div>
+);
+
+export default UnitsPanel;
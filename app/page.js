@@ -1,14 +1,225 @@
 "use client";
-import React, { useEffect, useRef, useState } from "react";
+import React, {
+  useEffect,
+  useEffectEvent,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import * as THREE from "three";
+import {
+  DEFAULT_DRAG,
+  DEFAULT_IMPACT,
+  DEFAULT_PLATFORM,
+  GRAVITY,
+  GRAVITY_PRESETS,
+  findApex,
+  flownSamples,
+  headingVector,
+  launchFromMount,
+  sampleTrajectory,
+  solveTrajectory,
+  windVector,
+} from "@/lib/ballistics";
+import {
+  MAX_HEALTH,
+  PLAYERS,
+  createGame,
+  gameTerrain,
+  nextTurn,
+  rematch,
+  resolveShot,
+} from "@/lib/artillery";
+import {
+  bestFiringDelay,
+  solveFiringAngles,
+  solveLead,
+  solveVelocity,
+} from "@/lib/aiming";
+import {
+  DEFAULT_MOTION,
+  MOTION_PATHS,
+  TARGET_TYPES,
+  addMotion,
+  createTarget,
+  evaluateShot,
+  motionPeriod,
+  randomTarget,
+  segmentHit,
+  targetAt,
+  targetFrame,
+} from "@/lib/targets";
+import {
+  FIELD_SIZE,
+  TERRAIN_TYPES,
+  createObstacle,
+  createTerrain,
+  randomObstacle,
+  reseatOnTerrain,
+} from "@/lib/terrain";
+import { addToHistory, createHistoryEntry, ghostOpacity } from "@/lib/history";
+import { kinematicSeries } from "@/lib/kinematics";
+import { PREDICTIONS, checkPredictions } from "@/lib/lessons";
+import KinematicsCharts from "@/app/components/KinematicsCharts";
+import CapturePanel from "@/app/components/CapturePanel";
+import ShotHistoryPanel from "@/app/components/ShotHistoryPanel";
+import MeasurePanel, { pointReadout } from "@/app/components/MeasurePanel";
+import TrajectoryDataPanel from "@/app/components/TrajectoryDataPanel";
+import ScenarioLibraryPanel from "@/app/components/ScenarioLibraryPanel";
+import LessonPanel from "@/app/components/LessonPanel";
+import GamePanel from "@/app/components/GamePanel";
+import SweepPanel from "@/app/components/SweepPanel";
+import DispersionPanel, {
+  ELLIPSE_COLORS,
+} from "@/app/components/DispersionPanel";
+import UnitsPanel from "@/app/components/UnitsPanel";
+import { createLabel, disposeLabel, setLabelText } from "@/lib/labels";
+import {
+  FLY_KEYS,
+  ORBIT_PRESETS,
+  boreState,
+  flyForward,
+  flyStep,
+  freeFlyFrom,
+  lookAround,
+  orbitPosition,
+  placeAtSight,
+  placeBehind,
+  placeFreeFly,
+  placeOnOrbit,
+} from "@/lib/camera";
+import { SWEEP_PARAMETERS, familyValues } from "@/lib/sweep";
+import { salvoValues } from "@/lib/salvo";
+import {
+  DEFAULT_PROJECTILE,
+  PROJECTILE_PRESETS,
+  createProjectile,
+  descentAngle,
+  displayRadius,
+  kineticEnergy,
+  projectileColor,
+  projectileDrag,
+} from "@/lib/projectiles";
+import { ellipsePoints, simulateDispersion } from "@/lib/dispersion";
+import {
+  measuredToWorld,
+  measurementResiduals,
+  trajectoryToCsv,
+  trajectoryToJson,
+} from "@/lib/trajectoryData";
+import { copyFrame, startRecording, timestampedName } from "@/lib/recording";
+import { DEFAULT_DISPLAY, createUnits } from "@/lib/units";
+import {
+  MEASURE_TOOLS,
+  aimDistanceUnderPointer,
+  heightAtDistance,
+  pointerRaycaster,
+  raycastLine,
+  rulerReading,
+  trajectoryPointAt,
+} from "@/lib/measure";
+import {
+  CAMERA_MODES,
+  scenarioFromHash,
+  scenarioHash,
+  scenarioObstacles,
+  scenarioTargets,
+} from "@/lib/scenarios";
+
+// Picture-in-picture inset: fraction of the canvas width, shape and offset
+// from the bottom-right corner in CSS pixels (clear of the playback bar)
+const PIP_WIDTH = 0.3;
+const PIP_ASPECT = 3 / 2;
+const PIP_MARGIN = { right: 8, bottom: 64 };
+
+// Recording keeps running this long after the last shot lands (ms)
+const RECORDING_TAIL_MS = 500;
+
+// Arrows drawn on the projectile, coloured like the kinematics charts
+const VECTOR_OVERLAYS = [
+  { key: "velocity", color: 0xfacc15 },
+  { key: "horizontal", color: 0x60a5fa },
+  { key: "vertical", color: 0x4ade80 },
+  { key: "gravity", color: 0xf87171 },
+];
+const VECTOR_SCALE = 0.25; // metres of arrow per m/s (or per m/s²)
+
+// Empties a group of helper meshes, lines and labels, freeing their GPU data
+const clearGroup = (group) => {
+  group.children.forEach((child) => {
+    if (child.isSprite) {
+      disposeLabel(child);
+    } else {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+  });
+  group.clear();
+};
+
+// Target practice (SECTION 8): moving targets and their firing solutions
+const LEAD_MIN_ANGLE = 15; // degrees, the elevation slider's minimum
+const LEAD_MAX_AZIMUTH = 90; // degrees either way, the azimuth slider's range
+const LEAD_ARM_DELAY = 1; // s between solving a lead and firing it
+const ROUTE_SAMPLES = 64;
+const INTERCEPT_COLOR = 0xe879f9;
+// Sets a target mesh where the target stands, upright ones facing the cannon
+const placeTargetMesh = (mesh, target) => {
+  const { x, y, z } = target.position;
+  mesh.position.set(x, target.type === "ring" ? y + 0.05 : y, z);
+  if (target.type === "ring") {
+    mesh.rotation.x = -Math.PI / 2;
+  } else {
+    // Geometry faces +z; turn it to face back toward the cannon
+    const { normal } = targetFrame(target);
+    mesh.rotation.y = Math.atan2(normal.x, normal.z);
+  }
+};
+// What became of an armed lead shot
+const leadStatus = ({ armed, fired }) => {
+  if (armed) return "Armed…";
+  return fired ? "Fired." : "Not fired: the aim changed.";
+};
+
+// Artillery game (SECTION 17): what the last shot did, for the turn HUD
+const shotReport = ({ turn, last }, units) => {
+  if (last.miss === null) return "The shot never came down on the field.";
+  const rival = 1 - turn;
+  const parts = [];
+  if (last.damage[rival] > 0) {
+    parts.push(`Hit! ${PLAYERS[rival].name} −${last.damage[rival]}`);
+  } else {
+    parts.push(`Missed by ${units.withUnit(last.miss, "length")}`);
+  }
+  if (last.damage[turn] > 0) parts.push(`own cannon −${last.damage[turn]}`);
+  return parts.join(", ");
+};
+
+// Measuring tools (SECTION 16): scene helpers and the path point readout
+const measureMarker = (point, color) => {
+  const marker = new THREE.Mesh(
+    new THREE.SphereGeometry(0.25, 16, 16),
+    new THREE.MeshBasicMaterial({ color }),
+  );
+  marker.position.set(point.x, point.y, point.z);
+  return marker;
+};
+
+// Readout text for a projectile in the air, in the display units
+const flightLabel = ({ id, angle, velocity }, units) =>
+  `#${id} ${units.format(angle, null, 1)}° ${units.withUnit(velocity, "speed", 1)}`;
+const flightPosition = ({ x, y, z }, units) =>
+  `(${[x, y, z].map((v) => units.format(v, "length")).join(", ")}) ${units.unit("length")}`;
 
 /**
  * CANNON PROJECTILE MOTION SIMULATOR
  *
  * Architecture Overview:
  * 1. Three.js 3D Scene - Renders cannon, projectile, and trajectory with camera controls
- * 2. Physics Engine - Calculates projectile motion using kinematic equations
- * 3. Camera Controls - Mouse drag to rotate, scroll to zoom
+ * 2. Physics Engine - lib/ballistics.js (closed-form vacuum or RK4 with air drag),
+ *    flying until the path meets the terrain or an obstacle (lib/terrain.js),
+ *    then optionally bouncing and rolling to rest
+ * 3. Camera Controls - Mouse, touch and keyboard orbit, pan and zoom
  * 4. React State Management - Coordinates all components
  *
  * Key Physics Equations Used:
@@ -16,44 +227,184 @@ import * as THREE from "three";
  * - y(t) = y₀ + v₀ × sin(θ) × t - (1/2) × g × t²
  * - Range = v₀ × cos(θ) × t_flight
  * - Time of flight = [v₀ × sin(θ) + √((v₀ × sin(θ))² + 2 × g × y₀)] / g
+ * - With drag: a = -g ŷ - (ρ C_d A / 2m) |v - w| (v - w), stepped numerically
+ *   (w = wind velocity, so wind only pushes the projectile through drag)
  */
 const CannonSimulator = () => {
   // State management for physics and controls
   const [cannonAngle, setCannonAngle] = useState(45.0); // degrees
+  const [cannonAzimuth, setCannonAzimuth] = useState(0.0); // degrees, + turns toward -z
   const [initialVelocity, setInitialVelocity] = useState(20.0); // m/s
   const [isFiring, setIsFiring] = useState(false);
-  const [cameraMode, setCameraMode] = useState("overview"); // 'overview', 'follow', 'side'
+  const [cameraMode, setCameraMode] = useState("overview"); // one of CAMERA_MODES
+  const [pipView, setPipView] = useState("off"); // second view in the inset, or 'off'
   const [showPanel, setShowPanel] = useState(false);
+  const [gravityPreset, setGravityPreset] = useState("earth"); // GRAVITY_PRESETS id or 'custom'
+  const [gravity, setGravity] = useState(GRAVITY); // m/s²
+  const [mountHeight, setMountHeight] = useState(DEFAULT_PLATFORM.mountHeight); // m, pivot above the ground
+  const [barrelLength, setBarrelLength] = useState(
+    DEFAULT_PLATFORM.barrelLength,
+  ); // m
+  const [dragEnabled, setDragEnabled] = useState(false);
+  const [airDensity, setAirDensity] = useState(DEFAULT_DRAG.airDensity); // kg/m³
+  const [projectile, setProjectile] = useState(DEFAULT_PROJECTILE);
+  const [impactEnabled, setImpactEnabled] = useState(false);
+  const [impactParams, setImpactParams] = useState(DEFAULT_IMPACT);
+  const [windSpeed, setWindSpeed] = useState(0); // m/s
+  const [windHeading, setWindHeading] = useState(90); // degrees the wind blows toward
+  const [aimTarget, setAimTarget] = useState({ distance: 30, height: 0 }); // m
+  const [aimSolution, setAimSolution] = useState(null);
+  const [targetMode, setTargetMode] = useState(false);
+  const [targets, setTargets] = useState([]);
+  const [targetType, setTargetType] = useState("ring");
+  const [placingTargets, setPlacingTargets] = useState(false);
+  const [targetMotion, setTargetMotion] = useState(DEFAULT_MOTION); // path of new targets
+  const [leadTargetId, setLeadTargetId] = useState(null);
+  const [leadSolution, setLeadSolution] = useState(null);
+  const [terrainConfig, setTerrainConfig] = useState({
+    type: "flat",
+    seed: 1,
+  });
+  const [obstacles, setObstacles] = useState([]);
+  const [shotHistory, setShotHistory] = useState([]);
+  const [showGhosts, setShowGhosts] = useState(true);
+  const [showVectors, setShowVectors] = useState(true); // arrows on the projectile in flight
+  const [showFlightMarkers, setShowFlightMarkers] = useState(true); // apex and landing labels
+  const [familySpan, setFamilySpan] = useState(null); // swept span drawn as a family of curves
+  const [dispersion, setDispersion] = useState(null); // { result, trajectory, config } of the last run
+  const [clockView, setClockView] = useState({
+    time: 0,
+    duration: 0,
+    playing: false,
+  });
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [canReplay, setCanReplay] = useState(false);
+  const [chartShot, setChartShot] = useState(null); // { id, series, launchTime } of the shot being charted
+  const [activeFlights, setActiveFlights] = useState([]); // projectiles in the air, for the readouts
+  const [maxInAir, setMaxInAir] = useState(5);
+  const [salvoConfig, setSalvoConfig] = useState({
+    count: 3,
+    parameter: "angle",
+    step: 5,
+  });
+  const [measured, setMeasured] = useState(null); // { name, points } from an imported CSV
+  const [urlLoaded, setUrlLoaded] = useState(false); // URL read on mount
+  const [recording, setRecording] = useState(false);
+  const [lesson, setLesson] = useState(null); // { lesson, index, predictions, hints, phase, check, scores }
+  const [highlightEquation, setHighlightEquation] = useState(null); // id of a line in the Equations panel
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY); // { system, sigFigs } for readouts and inputs
+  const [measureTool, setMeasureTool] = useState(null); // key of MEASURE_TOOLS, or null
+  const [game, setGame] = useState(null); // two-player artillery game, see lib/artillery.js
+  const [rulerPoints, setRulerPoints] = useState([]); // up to two { x, y, z }
+  const [gaugeDistance, setGaugeDistance] = useState(20); // m along the aim
+  const [inspectPin, setInspectPin] = useState(null); // { trajectory, point } clicked on the path
+  const [hoverPoint, setHoverPoint] = useState(null); // { left, top, point } under the pointer
+  const [session, setSession] = useState({
+    shots: 0,
+    hits: 0,
+    score: 0,
+    bestMiss: null,
+    last: null,
+  });
 
   const [projectileData, setProjectileData] = useState({
     range: 0,
     maxHeight: 0,
     timeOfFlight: 0,
-    currentTime: 0,
-    position: { x: 0, y: 0 },
+    drift: 0,
+    stoppedBy: "–",
+    bounce: null,
+    energy: null,
+    vacuum: null,
   });
+  // Readouts and inputs convert through this; the physics stays in SI
+  const units = useMemo(() => createUnits(display), [display]);
+  // In lesson mode the answers stay hidden until a prediction is fired from
+  // the lesson card (SECTION 15); a game (SECTION 17) hides them throughout
+  // and allows one shot per turn
+  const predicting = lesson !== null && lesson.phase !== "revealed";
+  const concealed = predicting || game !== null;
+  const canFire = !predicting && (game === null || game.phase === "aim");
+  // The aim and the challenge setup are the question being predicted, so
+  // they stay as the lesson set them until the answer is revealed; in a game
+  // the aim can only change while it is the shooter's turn to fire
+  const aimLocked = !canFire;
   // Refs for Three.js
   const canvasRef = useRef(null);
   const sceneRef = useRef(null);
   const rendererRef = useRef(null);
   const cameraRef = useRef(null);
   const cannonRef = useRef(null);
-  const projectileRef = useRef(null);
+  const cannonYawRef = useRef(null);
+  const cannonBaseRef = useRef(null);
+  const barrelRef = useRef(null);
+  const windArrowRef = useRef(null);
+  const aimMarkerRef = useRef(null);
+  const groundRef = useRef(null);
+  const gridRef = useRef(null);
+  const obstacleGroupRef = useRef(null);
+  const targetGroupRef = useRef(null);
+  const targetMeshesRef = useRef(new Map());
+  // Target clock (s) that moving targets run on; while flights are up it is
+  // `epoch` plus the simulation clock, so it pauses and scrubs with them
+  const targetClockRef = useRef({ time: 0, epoch: 0 });
+  const targetRigRef = useRef(null); // (dt) => void, run before each render
+  const armedShotRef = useRef(null); // { at, angle, azimuth, v0 } fired on the target clock
+  const interceptGroupRef = useRef(null);
+  const previewGroupRef = useRef(null);
   const trajectoryLineRef = useRef(null);
+  const vacuumLineRef = useRef(null);
+  const bounceMarkersRef = useRef(null);
+  const ghostGroupRef = useRef(null);
+  const measuredGroupRef = useRef(null);
+  const measureGroupRef = useRef(null); // { ruler, gauge, pin } groups of the measuring tools
+  const gaugeHandleRef = useRef(null);
+  const vectorOverlayRef = useRef(null); // { group, arrows, labels } keyed by vector
+  const flightMarkersRef = useRef(null);
+  const familyGroupRef = useRef(null);
+  const dispersionGroupRef = useRef(null);
+  const nextShotIdRef = useRef(1);
   const animationFrameRef = useRef(null);
-  const projectileStateRef = useRef({ active: false, time: 0 });
-  // Camera control refs
+  const flightsRef = useRef([]); // projectiles of the current volley, see SECTION 11
+  const flightFrameRef = useRef(null);
+  // Settings the flight loop reads each frame, since it keeps running from
+  // the closure it was started with: the units mirrored from state, and
+  // whether a recording stops when the shots land (set by the Capture panel)
+  const unitsRef = useRef(null);
+  const recordAutoStopRef = useRef(true);
+  const readoutRef = useRef({ at: 0, time: 0, count: 0 }); // last readout update from the flight loop
+  const leadFlightRef = useRef(null); // sampled point of the newest projectile in the air
+  // Simulation clock, independent of wall time (seconds of simulated flight)
+  const simClockRef = useRef({
+    time: 0,
+    duration: 0,
+    speed: 1,
+    playing: false,
+    lastFrame: 0,
+    seeked: false,
+  });
+  const lastVolleyRef = useRef(null);
+  const urlReadRef = useRef(false); // the scenario link is only opened once
+  const preGameRef = useRef(null); // free-play settings a game replaced, put back on quitting
+  // Camera control refs; the mode is mirrored here for the per-frame rig
+  const cameraModeRef = useRef("overview");
+  const cameraRigRef = useRef(null); // (dt) => void, run before each render
+  const freeFlyRef = useRef(null); // { position, yaw, pitch } in free-fly mode
+  const flyKeysRef = useRef(new Set());
+  const pipCameraRef = useRef(null);
+  const pipViewRef = useRef("off");
+  // Video capture: { canvas, hud } copied into by the render loop while recording
+  const captureRef = useRef(null);
+  const recorderRef = useRef(null);
+  const hudLinesRef = useRef([]);
   const cameraControlsRef = useRef({
     isDragging: false,
+    panning: false,
     previousMousePosition: { x: 0, y: 0 },
     rotation: { x: 0.3, y: 0.8 },
     distance: 30,
     target: new THREE.Vector3(0, 5, 0),
   });
-  // Constants
-  const GRAVITY = 9.81; // m/s²
-  const MOUNT_HEIGHT = 1.5; // meters
-  const BARREL_LENGTH = 3; // meters
   /**
    * SECTION 1: THREE.JS SCENE SETUP
    * Creates the 3D environment with cannon, ground plane, and lighting
@@ -74,6 +425,9 @@ const CannonSimulator = () => {
     camera.position.set(15, 15, 25);
     camera.lookAt(0, 5, 0);
     cameraRef.current = camera;
+    // Second camera for the picture-in-picture inset
+    const pipCamera = new THREE.PerspectiveCamera(60, PIP_ASPECT, 0.1, 1000);
+    pipCameraRef.current = pipCamera;
     // Setup renderer
     const renderer = new THREE.WebGLRenderer({
       canvas: canvasRef.current,
@@ -97,7 +451,8 @@ const CannonSimulator = () => {
     directionalLight.shadow.camera.bottom = -50;
     scene.add(directionalLight);
     // Create ground plane
-    const groundGeometry = new THREE.PlaneGeometry(200, 200);
+    // Flat to start with; SECTION 9 swaps in the selected terrain's heightmap
+    const groundGeometry = new THREE.PlaneGeometry(FIELD_SIZE, FIELD_SIZE);
     const groundMaterial = new THREE.MeshStandardMaterial({
       color: 0x2d4a3e,
       roughness: 0.8,
@@ -105,9 +460,11 @@ const CannonSimulator = () => {
     const ground = new THREE.Mesh(groundGeometry, groundMaterial);
     ground.rotation.x = -Math.PI / 2;
     ground.receiveShadow = true;
+    groundRef.current = ground;
     scene.add(ground);
     // Add grid helper for depth perception
     const gridHelper = new THREE.GridHelper(200, 100, 0x444444, 0x222222);
+    gridRef.current = gridHelper;
     scene.add(gridHelper);
     // Add axis helper for reference
     const axisHelper = new THREE.AxesHelper(10);
@@ -119,7 +476,12 @@ const CannonSimulator = () => {
     const cannonBase = new THREE.Mesh(baseGeometry, baseMaterial);
     cannonBase.position.y = 1.5;
     cannonBase.castShadow = true;
-    scene.add(cannonBase);
+    cannonBaseRef.current = cannonBase;
+    // Yaw group turns the whole cannon (base, wheels and barrel) in azimuth
+    const cannonYawGroup = new THREE.Group();
+    scene.add(cannonYawGroup);
+    cannonYawRef.current = cannonYawGroup;
+    cannonYawGroup.add(cannonBase);
     // Add wheels for cannon look
     const wheelGeometry = new THREE.CylinderGeometry(0.6, 0.6, 0.3, 16);
     const wheelMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
@@ -127,21 +489,22 @@ const CannonSimulator = () => {
     leftWheel.position.set(-1.2, 0.75, 0);
     leftWheel.rotation.x = Math.PI / 2;
     leftWheel.castShadow = true;
-    scene.add(leftWheel);
+    cannonYawGroup.add(leftWheel);
     const rightWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
     rightWheel.position.set(1.2, 0.75, 0);
     rightWheel.rotation.x = Math.PI / 2;
     rightWheel.castShadow = true;
-    scene.add(rightWheel);
-    // Cannon mount group (pivot)
+    cannonYawGroup.add(rightWheel);
+    // Cannon mount group (pivot for elevation); SECTION 5 resizes the base
+    // and barrel to the chosen platform
     const cannonGroup = new THREE.Group();
-    cannonGroup.position.set(0, MOUNT_HEIGHT, 0);
-    scene.add(cannonGroup);
+    cannonGroup.position.set(0, DEFAULT_PLATFORM.mountHeight, 0);
+    cannonYawGroup.add(cannonGroup);
     // Create cannon barrel (cylinder rotated to horizontal, attached at breech)
     const barrelGeometry = new THREE.CylinderGeometry(
       0.2,
       0.25,
-      BARREL_LENGTH,
+      DEFAULT_PLATFORM.barrelLength,
       32,
     );
     const barrelMaterial = new THREE.MeshStandardMaterial({ color: 0x4a4a4a });
@@ -149,22 +512,11 @@ const CannonSimulator = () => {
     cannonBarrel.castShadow = true;
     // Rotate geometry to lie along x-axis
     cannonBarrel.rotation.z = -Math.PI / 2;
-    // Position so breech is at group origin (muzzle at +BARREL_LENGTH along x initially)
-    cannonBarrel.position.set(BARREL_LENGTH / 2, 0, 0);
+    // Position so breech is at group origin (muzzle one barrel length along x)
+    cannonBarrel.position.set(DEFAULT_PLATFORM.barrelLength / 2, 0, 0);
     cannonGroup.add(cannonBarrel);
+    barrelRef.current = cannonBarrel;
     cannonRef.current = cannonGroup;
-    // Create projectile (sphere, initially hidden)
-    const projectileGeometry = new THREE.SphereGeometry(0.5, 32, 32);
-    const projectileMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff4444,
-      emissive: 0xff0000,
-      emissiveIntensity: 0.3,
-    });
-    const projectile = new THREE.Mesh(projectileGeometry, projectileMaterial);
-    projectile.castShadow = true;
-    projectile.visible = false;
-    projectileRef.current = projectile;
-    scene.add(projectile);
     // Add a trail sphere to show cannon origin (mount)
     const originMarker = new THREE.Mesh(
       new THREE.SphereGeometry(0.3, 16, 16),
@@ -175,7 +527,13 @@ const CannonSimulator = () => {
       }),
     );
 
-    scene.add(originMarker);
+    cannonYawGroup.add(originMarker);
+    // Everything that gives the answer away before the shot (preview, apex
+    // and landing labels, sweep family, dispersion), hidden in lesson mode
+    // and during a game
+    const previewGroup = new THREE.Group();
+    previewGroupRef.current = previewGroup;
+    scene.add(previewGroup);
     // Create trajectory line (initially empty)
     const trajectoryGeometry = new THREE.BufferGeometry();
     const trajectoryMaterial = new THREE.LineBasicMaterial({
@@ -189,7 +547,108 @@ const CannonSimulator = () => {
       trajectoryMaterial,
     );
     trajectoryLineRef.current = trajectoryLine;
-    scene.add(trajectoryLine);
+    previewGroup.add(trajectoryLine);
+    // Vacuum reference line, shown next to the drag curve for comparison
+    const vacuumLine = new THREE.Line(
+      new THREE.BufferGeometry(),
+      new THREE.LineDashedMaterial({
+        color: 0x66ccff,
+        transparent: true,
+        opacity: 0.5,
+        dashSize: 0.6,
+        gapSize: 0.4,
+      }),
+    );
+    vacuumLine.visible = false;
+    vacuumLineRef.current = vacuumLine;
+    previewGroup.add(vacuumLine);
+    // Markers for each bounce point along the preview
+    const bounceMarkers = new THREE.Group();
+    bounceMarkersRef.current = bounceMarkers;
+    previewGroup.add(bounceMarkers);
+    // Ghost lines of earlier shots
+    const ghostGroup = new THREE.Group();
+    ghostGroupRef.current = ghostGroup;
+    scene.add(ghostGroup);
+    // Imported measurements and their residuals to the computed path
+    const measuredGroup = new THREE.Group();
+    measuredGroupRef.current = measuredGroup;
+    scene.add(measuredGroup);
+    // Ruler, height gauge and pinned path point (SECTION 16)
+    const measureGroups = {
+      ruler: new THREE.Group(),
+      gauge: new THREE.Group(),
+      pin: new THREE.Group(),
+    };
+    measureGroupRef.current = measureGroups;
+    Object.values(measureGroups).forEach((group) => scene.add(group));
+    // Wind indicator: a pole with an arrow pointing where the wind blows
+    const windPole = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.08, 0.08, 6, 8),
+      new THREE.MeshStandardMaterial({ color: 0xcccccc }),
+    );
+    windPole.position.set(-6, 3, -6);
+    scene.add(windPole);
+    const windArrow = new THREE.ArrowHelper(
+      new THREE.Vector3(1, 0, 0),
+      new THREE.Vector3(-6, 6, -6),
+      1,
+      0x4fc3f7,
+      0.8,
+      0.5,
+    );
+    windArrow.visible = false;
+    windArrowRef.current = windArrow;
+    scene.add(windArrow);
+    // Marker for the inverse solver's target point
+    const aimMarker = new THREE.Mesh(
+      new THREE.TorusGeometry(0.8, 0.12, 12, 32),
+      new THREE.MeshBasicMaterial({ color: 0xffd54f }),
+    );
+    aimMarker.visible = false;
+    aimMarkerRef.current = aimMarker;
+    scene.add(aimMarker);
+    // Velocity, its components and gravity, drawn on the projectile in flight
+    const vectorGroup = new THREE.Group();
+    vectorGroup.visible = false;
+    const vectorOverlay = { group: vectorGroup, arrows: {}, labels: {} };
+    VECTOR_OVERLAYS.forEach(({ key, color }) => {
+      const arrow = new THREE.ArrowHelper(
+        new THREE.Vector3(1, 0, 0),
+        new THREE.Vector3(),
+        1,
+        color,
+      );
+      const label = createLabel("", `#${color.toString(16).padStart(6, "0")}`);
+      vectorOverlay.arrows[key] = arrow;
+      vectorOverlay.labels[key] = label;
+      vectorGroup.add(arrow, label);
+    });
+    vectorOverlayRef.current = vectorOverlay;
+    scene.add(vectorGroup);
+    // Apex and landing markers on the preview line
+    const flightMarkers = new THREE.Group();
+    flightMarkersRef.current = flightMarkers;
+    previewGroup.add(flightMarkers);
+    // Family of trajectories across the sweep span
+    const familyGroup = new THREE.Group();
+    familyGroupRef.current = familyGroup;
+    previewGroup.add(familyGroup);
+    // Monte Carlo impacts and their spread ellipses
+    const dispersionGroup = new THREE.Group();
+    dispersionGroupRef.current = dispersionGroup;
+    previewGroup.add(dispersionGroup);
+    // Target practice meshes are rebuilt into this group
+    const targetGroup = new THREE.Group();
+    targetGroupRef.current = targetGroup;
+    scene.add(targetGroup);
+    // Where a moving target will be when the solved shot arrives
+    const interceptGroup = new THREE.Group();
+    interceptGroupRef.current = interceptGroup;
+    scene.add(interceptGroup);
+    const obstacleGroup = new THREE.Group();
+    obstacleGroupRef.current = obstacleGroup;
+    scene.add(obstacleGroup);
     // Handle window resize
     const handleResize = () => {
       if (!canvasRef.current) return;
@@ -202,10 +661,38 @@ const CannonSimulator = () => {
       );
     };
     window.addEventListener("resize", handleResize);
-    // Animation loop
-    const animate = () => {
+    // Animation loop: move the targets and cameras, draw the main view, then
+    // the inset (if any) into its corner, then copy the frame out if recording
+    const size = new THREE.Vector2();
+    let lastFrame = performance.now();
+    const animate = (now = performance.now()) => {
       animationFrameRef.current = requestAnimationFrame(animate);
+      const dt = Math.min((now - lastFrame) / 1000, 0.1);
+      lastFrame = now;
+      targetRigRef.current?.(dt);
+      cameraRigRef.current?.(dt);
+      renderer.getSize(size);
+      renderer.setViewport(0, 0, size.x, size.y);
       renderer.render(scene, camera);
+      if (pipViewRef.current !== "off") {
+        const width = Math.round(size.x * PIP_WIDTH);
+        const height = Math.round(width / PIP_ASPECT);
+        const x = size.x - width - PIP_MARGIN.right;
+        renderer.setScissorTest(true);
+        renderer.setScissor(x, PIP_MARGIN.bottom, width, height);
+        renderer.setViewport(x, PIP_MARGIN.bottom, width, height);
+        renderer.render(scene, pipCamera);
+        renderer.setScissorTest(false);
+      }
+      const capture = captureRef.current;
+      if (capture) {
+        copyFrame(
+          capture.canvas,
+          renderer.domElement,
+          capture.hud ? hudLinesRef.current : null,
+          renderer.getPixelRatio(),
+        );
+      }
     };
     animate();
     // Cleanup
@@ -214,32 +701,65 @@ const CannonSimulator = () => {
       if (animationFrameRef.current) {
         cancelAnimationFrame(animationFrameRef.current);
       }
+      // The flight loop runs on its own frames (SECTION 11)
+      if (flightFrameRef.current) {
+        cancelAnimationFrame(flightFrameRef.current);
+      }
       renderer.dispose();
     };
   }, []);
   /**
    * SECTION 2: CAMERA CONTROLS
-   * Mouse drag to rotate, scroll to zoom
+   * Mouse: drag to rotate, right- or shift-drag to pan, scroll to zoom.
+   * Touch: one finger rotates, two fingers pinch to zoom and drag to pan.
+   * In free-fly mode the same gestures look around, strafe and fly forward.
    */
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     const controls = cameraControlsRef.current;
+    const flying = () => cameraModeRef.current === "free";
+    const rotate = (deltaX, deltaY) => {
+      if (flying()) {
+        lookAround(freeFlyRef.current, deltaX, deltaY);
+        return;
+      }
+      controls.rotation.y += deltaX * 0.005;
+      controls.rotation.x += deltaY * 0.005;
+      // Clamp vertical rotation
+      controls.rotation.x = Math.max(
+        0.1,
+        Math.min(Math.PI / 2 - 0.1, controls.rotation.x),
+      );
+    };
+    // Moves the orbit target across the screen, faster when zoomed out
+    const pan = (deltaX, deltaY) => {
+      const camera = cameraRef.current;
+      if (!camera) return;
+      const scale = controls.distance * 0.0015;
+      const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0);
+      const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1);
+      const target = flying() ? freeFlyRef.current.position : controls.target;
+      target
+        .addScaledVector(right, -deltaX * scale)
+        .addScaledVector(up, deltaY * scale);
+    };
+    const zoomTo = (distance) => {
+      controls.distance = Math.max(5, Math.min(100, distance));
+    };
     const handleMouseDown = (e) => {
+      // Grabbed by a measuring tool (SECTION 16)
+      if (e.defaultPrevented) return;
       controls.isDragging = true;
+      controls.panning = e.button === 2 || e.shiftKey;
       controls.previousMousePosition = { x: e.clientX, y: e.clientY };
     };
     const handleMouseMove = (e) => {
       if (!controls.isDragging) return;
       const deltaX = e.clientX - controls.previousMousePosition.x;
       const deltaY = e.clientY - controls.previousMousePosition.y;
-      controls.rotation.y += deltaX * 0.005;
-      controls.rotation.x += deltaY * 0.005;
-      // Clamp vertical rotation
-      controls.rotation.x = Math.max(
-        0.1,
-        Math.min(Math.PI / 2 - 0.1, controls.rotation.x),
-      );
+      if (controls.panning) pan(deltaX, deltaY);
+      else rotate(deltaX, deltaY);
       controls.previousMousePosition = { x: e.clientX, y: e.clientY };
       updateCameraPosition();
     };
@@ -248,76 +768,117 @@ const CannonSimulator = () => {
     };
     const handleWheel = (e) => {
       e.preventDefault();
-      controls.distance += e.deltaY * 0.05;
-      controls.distance = Math.max(5, Math.min(100, controls.distance));
+      if (flying()) flyForward(freeFlyRef.current, -e.deltaY * 0.05);
+      else zoomTo(controls.distance + e.deltaY * 0.05);
       updateCameraPosition();
     };
+    // Right-drag pans, so keep the browser menu out of the way
+    const handleContextMenu = (e) => e.preventDefault();
+    // Centre of and spread between the touches, for pinch and pan
+    const touchGesture = (touches) => {
+      const [a, b = a] = touches;
+      return {
+        x: (a.clientX + b.clientX) / 2,
+        y: (a.clientY + b.clientY) / 2,
+        spread: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+        count: touches.length,
+      };
+    };
+    let gesture = null;
+    const handleTouchStart = (e) => {
+      gesture = e.defaultPrevented ? null : touchGesture(e.touches);
+    };
+    const handleTouchMove = (e) => {
+      if (!gesture) return;
+      const next = touchGesture(e.touches);
+      if (next.count !== gesture.count) {
+        // A finger was added or lifted; start over from here
+        gesture = next;
+        return;
+      }
+      if (next.count === 1) {
+        rotate(next.x - gesture.x, next.y - gesture.y);
+      } else {
+        pan(next.x - gesture.x, next.y - gesture.y);
+        if (flying()) {
+          flyForward(freeFlyRef.current, (next.spread - gesture.spread) * 0.05);
+        } else if (gesture.spread > 0 && next.spread > 0) {
+          zoomTo((controls.distance * gesture.spread) / next.spread);
+        }
+      }
+      gesture = next;
+      updateCameraPosition();
+    };
+    const handleTouchEnd = (e) => {
+      gesture = e.touches.length > 0 ? touchGesture(e.touches) : null;
+    };
+    // The other views are placed every frame by the camera rig (SECTION 3)
     const updateCameraPosition = () => {
-      if (!cameraRef.current) return;
-      const camera = cameraRef.current;
-      const { x, y } = controls.rotation;
-      const dist = controls.distance;
-      camera.position.x = controls.target.x + dist * Math.sin(y) * Math.cos(x);
-      camera.position.y = controls.target.y + dist * Math.sin(x);
-      camera.position.z = controls.target.z + dist * Math.cos(y) * Math.cos(x);
-      camera.lookAt(controls.target);
+      if (!cameraRef.current || !ORBIT_PRESETS[cameraModeRef.current]) return;
+      placeOnOrbit(
+        cameraRef.current,
+        controls.target,
+        controls.rotation,
+        controls.distance,
+      );
     };
     canvas.addEventListener("mousedown", handleMouseDown);
     canvas.addEventListener("mousemove", handleMouseMove);
     canvas.addEventListener("mouseup", handleMouseUp);
     canvas.addEventListener("mouseleave", handleMouseUp);
     canvas.addEventListener("wheel", handleWheel, { passive: false });
+    canvas.addEventListener("contextmenu", handleContextMenu);
+    canvas.addEventListener("touchstart", handleTouchStart, { passive: true });
+    canvas.addEventListener("touchmove", handleTouchMove, { passive: true });
+    canvas.addEventListener("touchend", handleTouchEnd);
+    canvas.addEventListener("touchcancel", handleTouchEnd);
     return () => {
       canvas.removeEventListener("mousedown", handleMouseDown);
       canvas.removeEventListener("mousemove", handleMouseMove);
       canvas.removeEventListener("mouseup", handleMouseUp);
       canvas.removeEventListener("mouseleave", handleMouseUp);
       canvas.removeEventListener("wheel", handleWheel);
+      canvas.removeEventListener("contextmenu", handleContextMenu);
+      canvas.removeEventListener("touchstart", handleTouchStart);
+      canvas.removeEventListener("touchmove", handleTouchMove);
+      canvas.removeEventListener("touchend", handleTouchEnd);
+      canvas.removeEventListener("touchcancel", handleTouchEnd);
     };
   }, []);
   /**
    * SECTION 3: CAMERA PRESET MODES
+   * Orbit presets glide to a fixed viewpoint; the sight, chase and free-fly
+   * views (and "follow" while a shot is up) are placed every frame by the
+   * camera rig, which also drives the picture-in-picture camera
    */
   const setCameraPreset = (mode) => {
     setCameraMode(mode);
-    const controls = cameraControlsRef.current;
-    switch (mode) {
-      case "overview":
-        controls.rotation = { x: 0.3, y: 0.8 };
-        controls.distance = 30;
-        controls.target.set(0, 5, 0);
-        break;
-      case "follow":
-        controls.rotation = { x: 0.2, y: 0 };
-        controls.distance = 15;
-        controls.target.set(10, 5, 0);
-        break;
-      case "side":
-        controls.rotation = { x: 0.3, y: Math.PI / 2 };
-        controls.distance = 35;
-        controls.target.set(0, 5, 0);
-        break;
-      case "closeup":
-        controls.rotation = { x: 0.2, y: 0.5 };
-        controls.distance = 8;
-        controls.target.set(0, 3, 0);
-        break;
+    cameraModeRef.current = mode;
+    if (mode === "free") {
+      freeFlyRef.current = freeFlyFrom(cameraRef.current);
+      return;
     }
+    const preset = ORBIT_PRESETS[mode];
+    if (!preset) return;
+    const controls = cameraControlsRef.current;
+    controls.rotation = { ...preset.rotation };
+    controls.distance = preset.distance;
+    controls.target.set(...preset.target);
     // Smooth transition
     const startPos = cameraRef.current.position.clone();
     const startTime = Date.now();
     const duration = 500;
     const animate = () => {
+      // Another view was picked before this one arrived
+      if (cameraModeRef.current !== mode) return;
       const elapsed = Date.now() - startTime;
       const progress = Math.min(elapsed / duration, 1);
       const eased = 1 - Math.pow(1 - progress, 3); // Ease out cubic
       const camera = cameraRef.current;
-      const { x, y } = controls.rotation;
-      const dist = controls.distance;
-      const targetPos = new THREE.Vector3(
-        controls.target.x + dist * Math.sin(y) * Math.cos(x),
-        controls.target.y + dist * Math.sin(x),
-        controls.target.z + dist * Math.cos(y) * Math.cos(x),
+      const targetPos = orbitPosition(
+        controls.target,
+        controls.rotation,
+        controls.distance,
       );
       camera.position.lerpVectors(startPos, targetPos, eased);
       camera.lookAt(controls.target);
@@ -327,244 +888,2312 @@ const CannonSimulator = () => {
     };
     animate();
   };
+  useEffect(() => {
+    // Places `camera` for `mode`; orbit views circle `orbit`
+    const placeCamera = (camera, mode, orbit, dt) => {
+      const lead = leadFlightRef.current;
+      const barrel = cannonRef.current;
+      if (mode === "sight") {
+        placeAtSight(camera, barrel);
+      } else if (mode === "chase") {
+        // Waiting behind the cannon until something is fired
+        const { origin, direction } = boreState(barrel);
+        placeBehind(
+          camera,
+          lead ?? {
+            x: origin.x,
+            y: origin.y,
+            z: origin.z,
+            vx: direction.x,
+            vy: direction.y,
+            vz: direction.z,
+          },
+        );
+      } else if (mode === "free") {
+        flyStep(freeFlyRef.current, flyKeysRef.current, dt);
+        placeFreeFly(camera, freeFlyRef.current);
+      } else {
+        if (mode === "follow" && lead) orbit.target.set(lead.x, lead.y, lead.z);
+        placeOnOrbit(camera, orbit.target, orbit.rotation, orbit.distance);
+      }
+    };
+    cameraRigRef.current = (dt) => {
+      if (!cameraRef.current || !cannonRef.current) return;
+      const mode = cameraModeRef.current;
+      // Orbit presets stay where the controls (or a transition) put them
+      if (mode === "follow" ? leadFlightRef.current : !ORBIT_PRESETS[mode]) {
+        placeCamera(cameraRef.current, mode, cameraControlsRef.current, dt);
+      }
+      const pipMode = pipViewRef.current;
+      if (pipMode === "off") return;
+      const preset = ORBIT_PRESETS[pipMode];
+      placeCamera(
+        pipCameraRef.current,
+        pipMode,
+        preset && {
+          ...preset,
+          target: new THREE.Vector3(...preset.target),
+        },
+        dt,
+      );
+    };
+    return () => {
+      cameraRigRef.current = null;
+    };
+  }, []);
+  useEffect(() => {
+    pipViewRef.current = pipView;
+  }, [pipView]);
+  // Held keys for free flight (the other shortcuts are in SECTION 12)
+  useEffect(() => {
+    const keys = flyKeysRef.current;
+    const handleKeyDown = (e) => {
+      if (
+        !FLY_KEYS.includes(e.code) ||
+        e.ctrlKey ||
+        e.metaKey ||
+        e.altKey ||
+        e.target.isContentEditable ||
+        ["INPUT", "SELECT", "TEXTAREA"].includes(e.target.tagName)
+      ) {
+        return;
+      }
+      keys.add(e.code);
+    };
+    const handleKeyUp = (e) => keys.delete(e.code);
+    const handleBlur = () => keys.clear();
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, []);
+  /**
+   * SECTION 4: PROJECTILE PHYSICS CALCULATIONS
+   * Both curves come from lib/ballistics.js; the active one honours the drag
+   * toggle, the vacuum one is kept for side-by-side comparison. Both stop at
+   * the first contact with the terrain or an obstacle.
+   */
+  // A game brings its own battlefield, seen from the shooter's side
+  const battlefield = game?.field ?? null;
+  const shooter = game?.turn ?? 0;
+  const terrain = useMemo(
+    () =>
+      battlefield
+        ? gameTerrain(battlefield, shooter)
+        : createTerrain(terrainConfig.type, terrainConfig.seed),
+    [terrainConfig, battlefield, shooter],
+  );
+  const baseHeight = terrain.heightAt(0, 0);
+  const launch = useMemo(
+    () =>
+      launchFromMount({
+        angle: cannonAngle,
+        v0: initialVelocity,
+        azimuth: cannonAzimuth,
+        mountHeight,
+        barrelLength,
+        baseHeight,
+      }),
+    [
+      cannonAngle,
+      cannonAzimuth,
+      initialVelocity,
+      mountHeight,
+      barrelLength,
+      baseHeight,
+    ],
+  );
+  const dragModel = useMemo(
+    () => (dragEnabled ? projectileDrag(projectile, airDensity) : null),
+    [dragEnabled, projectile, airDensity],
+  );
+  const wind = useMemo(
+    () => windVector(windSpeed, windHeading),
+    [windSpeed, windHeading],
+  );
+  const trajectory = useMemo(
+    () =>
+      solveTrajectory({
+        ...launch,
+        gravity,
+        drag: dragModel,
+        wind,
+        terrain,
+        obstacles,
+        impact: impactEnabled ? impactParams : null,
+      }),
+    [
+      launch,
+      gravity,
+      dragModel,
+      wind,
+      terrain,
+      obstacles,
+      impactEnabled,
+      impactParams,
+    ],
+  );
+  const vacuumTrajectory = useMemo(
+    () => solveTrajectory({ ...launch, gravity, terrain, obstacles }),
+    [launch, gravity, terrain, obstacles],
+  );
   /**
-   * SECTION 4: CANNON ANGLE CONTROL
-   * Updates cannon barrel rotation
+   * SECTION 5: CANNON ANGLE CONTROL AND TRAJECTORY PREVIEW
+   * Updates cannon barrel rotation, the wind arrow and the preview line(s)
    */
   useEffect(() => {
-    if (!cannonRef.current) return;
+    if (!cannonRef.current || !cannonYawRef.current) return;
     // Update cannon visual rotation (only rotation now, position handled by group)
     const angleInRadians = (cannonAngle * Math.PI) / 180;
     cannonRef.current.rotation.z = angleInRadians;
-    // Update trajectory preview
-    updateTrajectoryPreview();
-  }, [cannonAngle, initialVelocity]);
+    cannonYawRef.current.rotation.y = (cannonAzimuth * Math.PI) / 180;
+  }, [cannonAngle, cannonAzimuth]);
+  useEffect(() => {
+    const base = cannonBaseRef.current;
+    const barrel = barrelRef.current;
+    if (!base || !barrel || !cannonRef.current) return;
+    // The base always rises 1.5 m above the pivot, whatever the mount height
+    const baseTop = mountHeight + 1.5;
+    base.geometry.dispose();
+    base.geometry = new THREE.CylinderGeometry(1, 1.2, baseTop, 32);
+    base.position.y = baseTop / 2;
+    cannonRef.current.position.y = mountHeight;
+    barrel.geometry.dispose();
+    barrel.geometry = new THREE.CylinderGeometry(0.2, 0.25, barrelLength, 32);
+    barrel.position.x = barrelLength / 2;
+  }, [mountHeight, barrelLength]);
+  useEffect(() => {
+    const arrow = windArrowRef.current;
+    if (!arrow) return;
+    arrow.visible = windSpeed > 0;
+    if (windSpeed > 0) {
+      arrow.setDirection(new THREE.Vector3(wind.x, 0, wind.z).normalize());
+      // Arrow grows with wind speed, capped so it stays readable
+      arrow.setLength(1 + Math.min(windSpeed, 30) * 0.2, 0.8, 0.5);
+    }
+  }, [wind, windSpeed]);
+  useEffect(() => {
+    if (!trajectoryLineRef.current || !vacuumLineRef.current) return;
+    const toVectors = (traj) =>
+      traj.points.map((p) => new THREE.Vector3(p.x, p.y, p.z));
+    trajectoryLineRef.current.geometry.setFromPoints(toVectors(trajectory));
+    // Raycasts for the measuring tools test against the bounds first
+    trajectoryLineRef.current.geometry.computeBoundingSphere();
+    const vacuumLine = vacuumLineRef.current;
+    vacuumLine.visible = dragEnabled;
+    if (dragEnabled) {
+      vacuumLine.geometry.setFromPoints(toVectors(vacuumTrajectory));
+      vacuumLine.computeLineDistances();
+    }
+    const markers = bounceMarkersRef.current;
+    clearGroup(markers);
+    trajectory.bounces.forEach((b) => {
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.25, 12, 12),
+        new THREE.MeshBasicMaterial({ color: 0xffeb3b }),
+      );
+      marker.position.set(b.x, b.y, b.z);
+      markers.add(marker);
+    });
+  }, [trajectory, vacuumTrajectory, dragEnabled]);
+  useEffect(() => {
+    const group = flightMarkersRef.current;
+    if (!group) return;
+    clearGroup(group);
+    if (!showFlightMarkers) return;
+    const apex = findApex(trajectory);
+    const { impact } = trajectory;
+    [
+      { name: "Apex", point: apex, color: 0x22d3ee },
+      { name: "Landing", point: impact, color: 0xfb923c },
+    ].forEach(({ name, point, color }) => {
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.3, 16, 16),
+        new THREE.MeshBasicMaterial({ color }),
+      );
+      marker.position.set(point.x, point.y, point.z);
+      const label = createLabel(
+        `${name} t=${units.withUnit(point.t, "time")} (${[point.x, point.y, point.z].map((v) => units.format(v, "length", 1)).join(", ")}) ${units.unit("length")}`,
+        `#${color.toString(16)}`,
+      );
+      label.position.set(point.x, point.y + 1.2, point.z);
+      group.add(marker, label);
+    });
+  }, [trajectory, showFlightMarkers, units]);
   /**
-   * SECTION 5: PROJECTILE PHYSICS CALCULATIONS
-   * Implements kinematic equations for realistic motion with y0
+   * SECTION 6: INVERSE SOLVER
+   * Finds the elevation (low and high) or launch speed that hits a chosen
+   * point along the current aim, using the same model as the preview
    */
-  const calculateTrajectory = (angle, v0, time, y0 = 0) => {
-    const angleRad = (angle * Math.PI) / 180;
-    const vx = v0 * Math.cos(angleRad);
-    const vy = v0 * Math.sin(angleRad);
-    // Position at time t
-    const x = vx * time;
-    const y = y0 + vy * time - 0.5 * GRAVITY * time * time;
-    return { x, y };
-  };
-  const calculateFlightTime = (angle, v0, y0 = 0) => {
-    const angleRad = (angle * Math.PI) / 180;
-    const vy = v0 * Math.sin(angleRad);
-    const discriminant = vy * vy + 2 * GRAVITY * y0;
-    if (discriminant < 0) return 0;
-    return (vy + Math.sqrt(discriminant)) / GRAVITY;
-  };
-  const calculateRange = (angle, v0, y0 = 0) => {
-    const t_flight = calculateFlightTime(angle, v0, y0);
-    const angleRad = (angle * Math.PI) / 180;
-    const vx = v0 * Math.cos(angleRad);
-    return vx * t_flight;
-  };
-  const calculateMaxHeight = (angle, v0, y0 = 0) => {
-    const angleRad = (angle * Math.PI) / 180;
-    const vy = v0 * Math.sin(angleRad);
-    return y0 + (vy * vy) / (2 * GRAVITY);
+  // The target point, measured from the muzzle like the range readout; its
+  // height is entered above the local ground
+  const aimPoint = useMemo(() => {
+    const aim = headingVector(cannonAzimuth);
+    const reach = barrelLength * Math.cos((cannonAngle * Math.PI) / 180);
+    const x = aim.x * (reach + aimTarget.distance);
+    const z = aim.z * (reach + aimTarget.distance);
+    return { x, z, ground: terrain.heightAt(x, z) };
+  }, [aimTarget, cannonAngle, cannonAzimuth, barrelLength, terrain]);
+  const solveAim = () => {
+    const env = {
+      distance: aimTarget.distance,
+      fromMuzzle: true,
+      height: aimPoint.ground + aimTarget.height,
+      azimuth: cannonAzimuth,
+      mountHeight,
+      barrelLength,
+      baseHeight,
+      gravity,
+      drag: dragModel,
+      wind,
+    };
+    setAimSolution({
+      ...solveFiringAngles({ ...env, v0: initialVelocity }),
+      velocity: solveVelocity({ ...env, angle: cannonAngle }),
+      v0: initialVelocity,
+      angle: cannonAngle,
+    });
   };
+  useEffect(() => {
+    const marker = aimMarkerRef.current;
+    if (!marker) return;
+    marker.visible = aimSolution !== null;
+    const { x, z, ground } = aimPoint;
+    marker.position.set(x, ground + Math.max(aimTarget.height, 0.15), z);
+    // Face the ring toward the cannon
+    marker.rotation.set(0, (cannonAzimuth * Math.PI) / 180 + Math.PI / 2, 0);
+  }, [aimSolution, aimPoint, aimTarget, cannonAzimuth]);
   /**
-   * Updates the trajectory preview line
+   * SECTION 7: PARAMETER SWEEP AND DISPERSION
+   * Parameter sweep: the chart lives in SweepPanel; the page sets the cannon
+   * from it and draws the swept span as a family of trajectories
    */
-  const updateTrajectoryPreview = () => {
-    if (!trajectoryLineRef.current) return;
-    const points = [];
-    const angleRad = (cannonAngle * Math.PI) / 180;
-    const y0 = MOUNT_HEIGHT + BARREL_LENGTH * Math.sin(angleRad);
-    const timeOfFlight = calculateFlightTime(cannonAngle, initialVelocity, y0);
-    const steps = 100;
-    const muzzleX = BARREL_LENGTH * Math.cos(angleRad);
-    for (let i = 0; i <= steps; i++) {
-      const t = (i / steps) * timeOfFlight;
-      const pos = calculateTrajectory(cannonAngle, initialVelocity, t, y0);
-      if (pos.y >= 0) {
-        points.push(new THREE.Vector3(muzzleX + pos.x, pos.y, 0));
-      }
+  const FAMILY_SIZE = 10;
+  const selectSweepValue = (parameter, value) => {
+    const { min, max } = SWEEP_PARAMETERS[parameter];
+    const rounded = Math.min(Math.max(Math.round(value * 10) / 10, min), max);
+    if (parameter === "angle") {
+      setCannonAngle(rounded);
+    } else {
+      setInitialVelocity(rounded);
     }
-    trajectoryLineRef.current.geometry.setFromPoints(points);
   };
+  useEffect(() => {
+    const group = familyGroupRef.current;
+    if (!group) return;
+    clearGroup(group);
+    if (!familySpan) return;
+    const { parameter, from, to } = familySpan;
+    familyValues(from, to, FAMILY_SIZE).forEach((value, i) => {
+      const member = solveTrajectory({
+        ...launchFromMount({
+          angle: parameter === "angle" ? value : cannonAngle,
+          v0: parameter === "velocity" ? value : initialVelocity,
+          azimuth: cannonAzimuth,
+          mountHeight,
+          barrelLength,
+          baseHeight,
+        }),
+        gravity,
+        drag: dragModel,
+        wind,
+        terrain,
+        obstacles,
+      });
+      // Cool to warm across the span
+      const color = new THREE.Color().setHSL(
+        0.66 - (0.66 * i) / (FAMILY_SIZE - 1),
+        0.8,
+        0.6,
+      );
+      group.add(
+        new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints(
+            member.points.map((p) => new THREE.Vector3(p.x, p.y, p.z)),
+          ),
+          new THREE.LineBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.7,
+          }),
+        ),
+      );
+    });
+  }, [
+    familySpan,
+    cannonAngle,
+    initialVelocity,
+    cannonAzimuth,
+    mountHeight,
+    barrelLength,
+    baseHeight,
+    gravity,
+    dragModel,
+    wind,
+    terrain,
+    obstacles,
+  ]);
   /**
-   * SECTION 6: FIRE PROJECTILE
-   * Initiates projectile animation
+   * Monte Carlo dispersion: many shots with seeded random launch errors.
+   * A run is tied to the trajectory it was fired from, so changing any
+   * parameter marks it out of date rather than silently mixing setups.
    */
-  const fireProjectile = () => {
-    // close the popup in mobile
-    setShowPanel(false);
-    if (isFiring || !projectileRef.current) return;
-
-    setIsFiring(true);
-    projectileRef.current.visible = true;
-    const angleRad = (cannonAngle * Math.PI) / 180;
-    const y0 = MOUNT_HEIGHT + BARREL_LENGTH * Math.sin(angleRad);
-    const startX = BARREL_LENGTH * Math.cos(angleRad);
-    const startY = y0;
-    const timeOfFlight = calculateFlightTime(cannonAngle, initialVelocity, y0);
-    const range = calculateRange(cannonAngle, initialVelocity, y0);
-    const maxHeight = calculateMaxHeight(cannonAngle, initialVelocity, y0);
-    setProjectileData({
-      range: range.toFixed(2),
-      maxHeight: maxHeight.toFixed(2),
-      timeOfFlight: timeOfFlight.toFixed(2),
-      currentTime: 0,
-      position: { x: startX.toFixed(2), y: startY.toFixed(2) },
+  const runDispersion = (config) => {
+    const result = simulateDispersion(
+      {
+        angle: cannonAngle,
+        v0: initialVelocity,
+        azimuth: cannonAzimuth,
+        mountHeight,
+        barrelLength,
+        baseHeight,
+      },
+      { gravity, drag: dragModel, wind, terrain, obstacles },
+      config,
+    );
+    setDispersion({ result, trajectory, config });
+  };
+  // Mean point of impact relative to the nominal shot, in the aim frame
+  const dispersionOffset = (() => {
+    if (!dispersion) return null;
+    const { mean } = dispersion.result;
+    const { impact } = dispersion.trajectory;
+    const aim = headingVector(cannonAzimuth);
+    const dx = mean.x - impact.x;
+    const dz = mean.z - impact.z;
+    return { along: dx * aim.x + dz * aim.z, left: aim.z * dx - aim.x * dz };
+  })();
+  useEffect(() => {
+    const group = dispersionGroupRef.current;
+    if (!group) return;
+    clearGroup(group);
+    if (!dispersion) return;
+    const { impacts, mean, ellipses } = dispersion.result;
+    const dots = new THREE.InstancedMesh(
+      new THREE.SphereGeometry(0.15, 8, 8),
+      new THREE.MeshBasicMaterial({ color: 0xe5e7eb }),
+      impacts.length,
+    );
+    const matrix = new THREE.Matrix4();
+    impacts.forEach((p, i) => {
+      dots.setMatrixAt(i, matrix.makeTranslation(p.x, p.y + 0.1, p.z));
     });
-    projectileStateRef.current = { active: true, time: 0 };
-    // Animate projectile
-    const startTime = Date.now();
-    const animate = () => {
-      if (!projectileStateRef.current.active) return;
-      const elapsed = (Date.now() - startTime) / 1000;
-      const pos = calculateTrajectory(
-        cannonAngle,
-        initialVelocity,
-        elapsed,
-        y0,
+    group.add(dots);
+    // Ellipses follow the ground so they stay visible on slopes
+    ellipses.forEach((ellipse, i) => {
+      const points = ellipsePoints(ellipse, mean.x, mean.z).map(
+        ({ x, z }) => new THREE.Vector3(x, terrain.heightAt(x, z) + 0.1, z),
       );
-      if (pos.y < 0 || elapsed > timeOfFlight + 0.1) {
-        // Projectile landed
-        projectileStateRef.current.active = false;
-        projectileRef.current.visible = false;
-        setIsFiring(false);
-        setShowPanel(true);
-        return;
+      group.add(
+        new THREE.LineLoop(
+          new THREE.BufferGeometry().setFromPoints(points),
+          new THREE.LineBasicMaterial({ color: ELLIPSE_COLORS[i] }),
+        ),
+      );
+    });
+    const mpi = new THREE.Mesh(
+      new THREE.TorusGeometry(0.5, 0.08, 8, 24),
+      new THREE.MeshBasicMaterial({ color: 0xf472b6 }),
+    );
+    mpi.rotation.x = -Math.PI / 2;
+    mpi.position.set(mean.x, terrain.heightAt(mean.x, mean.z) + 0.15, mean.z);
+    group.add(mpi);
+  }, [dispersion, terrain]);
+  /**
+   * SECTION 8: TARGET PRACTICE
+   * Keeps the target meshes in sync with state and lets the user drop targets
+   * by clicking the ground. Moving targets are moved every frame on the
+   * target clock (see SECTION 12) and can be led: either aim ahead of one and
+   * fire, or keep the aim and fire when it will meet the shot.
+   */
+  const TARGET_COLOR = 0xff9800;
+  const TARGET_HIT_COLOR = 0x66bb6a;
+  useEffect(() => {
+    const group = targetGroupRef.current;
+    if (!group) return;
+    clearGroup(group);
+    targetMeshesRef.current.clear();
+    if (!targetMode) return;
+    targets.forEach((target) => {
+      const material = new THREE.MeshStandardMaterial({
+        color: TARGET_COLOR,
+        emissive: TARGET_COLOR,
+        emissiveIntensity: 0.3,
+        side: THREE.DoubleSide,
+      });
+      let geometry;
+      if (target.type === "ring") {
+        geometry = new THREE.RingGeometry(
+          target.radius * 0.8,
+          target.radius,
+          48,
+        );
+      } else if (target.type === "hoop") {
+        geometry = new THREE.TorusGeometry(target.radius, 0.12, 12, 48);
+      } else {
+        geometry = new THREE.BoxGeometry(target.width, target.height, 0.3);
       }
-      const worldX = startX + pos.x;
-      const worldY = pos.y;
-      projectileRef.current.position.x = worldX;
-      projectileRef.current.position.y = worldY;
-      projectileRef.current.position.z = 0;
-      // Update camera to follow projectile if in follow mode
-      if (cameraMode === "follow") {
-        cameraControlsRef.current.target.set(worldX, worldY, 0);
-        const controls = cameraControlsRef.current;
-        const camera = cameraRef.current;
-        const { x, y } = controls.rotation;
-        const dist = controls.distance;
-        camera.position.x =
-          controls.target.x + dist * Math.sin(y) * Math.cos(x);
-        camera.position.y = controls.target.y + dist * Math.sin(x);
-        camera.position.z =
-          controls.target.z + dist * Math.cos(y) * Math.cos(x);
-        camera.lookAt(controls.target);
+      const mesh = new THREE.Mesh(geometry, material);
+      placeTargetMesh(
+        mesh,
+        targetAt(target, targetClockRef.current.time, terrain),
+      );
+      mesh.castShadow = true;
+      group.add(mesh);
+      targetMeshesRef.current.set(target.id, mesh);
+      if (!target.motion) return;
+      // The route it runs, traced on the ground over one cycle
+      const period = motionPeriod(target.motion);
+      const route = Array.from({ length: ROUTE_SAMPLES + 1 }, (_, i) => {
+        const { x, z } = targetAt(
+          target,
+          (period * i) / ROUTE_SAMPLES,
+          terrain,
+        ).position;
+        return new THREE.Vector3(x, terrain.heightAt(x, z) + 0.1, z);
+      });
+      group.add(
+        new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints(route),
+          new THREE.LineDashedMaterial({
+            color: TARGET_COLOR,
+            dashSize: 0.6,
+            gapSize: 0.4,
+          }),
+        ).computeLineDistances(),
+      );
+    });
+  }, [targets, targetMode, terrain]);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !targetMode || !placingTargets) return;
+    // Distinguish a click from the end of a camera drag
+    let downAt = null;
+    const handleMouseDown = (e) => {
+      downAt = { x: e.clientX, y: e.clientY };
+    };
+    const handleClick = (e) => {
+      if (
+        !downAt ||
+        Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 5
+      ) {
+        return;
       }
-      setProjectileData((prev) => ({
+      const rect = canvas.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1,
+      );
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(pointer, cameraRef.current);
+      const [hit] = raycaster.intersectObject(groundRef.current);
+      if (!hit) return;
+      const elevation = 3 + Math.random() * 12;
+      setTargets((prev) => [
         ...prev,
-        currentTime: elapsed.toFixed(2),
-        position: { x: worldX.toFixed(2), y: worldY.toFixed(2) },
-      }));
-      requestAnimationFrame(animate);
+        addMotion(
+          createTarget(
+            targetType,
+            hit.point.x,
+            hit.point.z,
+            elevation,
+            hit.point.y,
+          ),
+          targetMotion,
+          hit.point.y,
+        ),
+      ]);
     };
-    animate();
+    canvas.addEventListener("mousedown", handleMouseDown);
+    canvas.addEventListener("click", handleClick);
+    return () => {
+      canvas.removeEventListener("mousedown", handleMouseDown);
+      canvas.removeEventListener("click", handleClick);
+    };
+  }, [targetMode, placingTargets, targetType, targetMotion]);
+  const addRandomTarget = () => {
+    const target = randomTarget(targetType, terrain);
+    const { x, z } = target.position;
+    setTargets((prev) => [
+      ...prev,
+      addMotion(target, targetMotion, terrain.heightAt(x, z)),
+    ]);
+  };
+  const movingTargets = targets.filter((target) => target.motion);
+  const leadTarget =
+    movingTargets.find((target) => target.id === leadTargetId) ??
+    movingTargets[0] ??
+    null;
+  // Aims ahead of the lead target and fires once the barrel has come round
+  const fireLead = () => {
+    if (!leadTarget) return;
+    const fireAt = targetClockRef.current.time + LEAD_ARM_DELAY;
+    const lead = solveLead({
+      target: leadTarget,
+      time: fireAt,
+      v0: initialVelocity,
+      terrain,
+      minAngle: LEAD_MIN_ANGLE,
+      mountHeight,
+      barrelLength,
+      baseHeight,
+      gravity,
+      drag: dragModel,
+      wind,
+    });
+    const inTraverse = Math.abs(lead.azimuth) <= LEAD_MAX_AZIMUTH;
+    const armed = lead.reachable && inTraverse;
+    setLeadSolution({
+      kind: "lead",
+      targetId: leadTarget.id,
+      v0: initialVelocity,
+      ...lead,
+      inTraverse,
+      armed,
+    });
+    if (!armed) return;
+    setCannonAngle(lead.angle);
+    setCannonAzimuth(lead.azimuth);
+    armedShotRef.current = {
+      at: fireAt,
+      angle: lead.angle,
+      azimuth: lead.azimuth,
+      v0: initialVelocity,
+    };
+  };
+  // Keeps the current aim and fires when the lead target will meet the shot
+  const fireOnTime = () => {
+    if (!leadTarget) return;
+    const now = targetClockRef.current.time;
+    const pass = bestFiringDelay({
+      target: leadTarget,
+      points: trajectory.points,
+      time: now,
+      terrain,
+    });
+    setLeadSolution({
+      kind: "time",
+      targetId: leadTarget.id,
+      v0: initialVelocity,
+      ...pass,
+      armed: pass.hit,
+    });
+    if (!pass.hit) return;
+    armedShotRef.current = {
+      at: now + pass.delay,
+      angle: cannonAngle,
+      azimuth: cannonAzimuth,
+      v0: initialVelocity,
+    };
+  };
+  const shownLead =
+    targetMode &&
+    leadSolution &&
+    targets.some((target) => target.id === leadSolution.targetId)
+      ? leadSolution
+      : null;
+  useEffect(() => {
+    const group = interceptGroupRef.current;
+    if (!group) return;
+    clearGroup(group);
+    if (
+      !shownLead ||
+      (shownLead.kind === "lead" ? !shownLead.reachable : !shownLead.hit)
+    ) {
+      return;
+    }
+    const { intercept, tof } = shownLead;
+    const ground = terrain.heightAt(intercept.x, intercept.z);
+    const marker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.35, 16, 16),
+      new THREE.MeshBasicMaterial({ color: INTERCEPT_COLOR }),
+    );
+    marker.position.set(intercept.x, intercept.y, intercept.z);
+    const post = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(intercept.x, ground, intercept.z),
+        new THREE.Vector3(intercept.x, intercept.y, intercept.z),
+      ]),
+      new THREE.LineBasicMaterial({ color: INTERCEPT_COLOR }),
+    );
+    const label = createLabel(
+      `Intercept +${units.withUnit(tof, "time")}`,
+      `#${INTERCEPT_COLOR.toString(16)}`,
+    );
+    label.position.set(intercept.x, intercept.y + 1.2, intercept.z);
+    group.add(marker, post, label);
+  }, [shownLead, terrain, units]);
+  const resetSession = () => {
+    setSession({ shots: 0, hits: 0, score: 0, bestMiss: null, last: null });
   };
   /**
-   * Reset camera to overview after firing completes
+   * SECTION 9: TERRAIN AND OBSTACLES
+   * Rebuilds the ground heightmap, raises the cannon onto its pad and keeps
+   * the obstacle meshes in sync with state
    */
+  const changeTerrain = (config) => {
+    const next = createTerrain(config.type, config.seed);
+    // Keep everything already placed sitting on the new ground
+    setObstacles((prev) => reseatOnTerrain(prev, terrain, next));
+    setTargets((prev) => reseatOnTerrain(prev, terrain, next));
+    setAimSolution(null);
+    setTerrainConfig(config);
+  };
   useEffect(() => {
-    if (!isFiring && cameraMode === "follow") {
-      setTimeout(() => {
-        cameraControlsRef.current.target.set(0, 5, 0);
-      }, 500);
+    const ground = groundRef.current;
+    if (!ground || !cannonYawRef.current) return;
+    const flat = terrain.type === "flat";
+    const segments = flat ? 1 : 128;
+    const geometry = new THREE.PlaneGeometry(
+      FIELD_SIZE,
+      FIELD_SIZE,
+      segments,
+      segments,
+    );
+    if (!flat) {
+      // The plane is rotated -90° about x, so local y runs along world -z
+      // and local z becomes world height
+      const positions = geometry.attributes.position;
+      for (let i = 0; i < positions.count; i++) {
+        const x = positions.getX(i);
+        const z = -positions.getY(i);
+        positions.setZ(i, terrain.heightAt(x, z));
+      }
+      geometry.computeVertexNormals();
     }
-  }, [isFiring, cameraMode]);
+    ground.geometry.dispose();
+    ground.geometry = geometry;
+    gridRef.current.visible = flat;
+    cannonYawRef.current.position.y = terrain.heightAt(0, 0);
+  }, [terrain]);
+  useEffect(() => {
+    const group = obstacleGroupRef.current;
+    if (!group) return;
+    clearGroup(group);
+    obstacles.forEach((obstacle) => {
+      const { w, h, d } = obstacle.size;
+      const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(w, h, d),
+        new THREE.MeshStandardMaterial({
+          color: obstacle.type === "wall" ? 0x9e9e9e : 0x795548,
+          roughness: 0.9,
+        }),
+      );
+      const { x, y, z } = obstacle.position;
+      mesh.position.set(x, y + h / 2, z);
+      mesh.rotation.y = obstacle.rotation;
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      group.add(mesh);
+    });
+  }, [obstacles]);
   /**
-   * SECTION 7: TOGGLE SIDE PANEL (Mobile)
+   * SECTION 10: SHOT HISTORY
+   * Each fired shot is kept with its parameters and drawn as a ghost line;
+   * newer ghosts are brighter, pinned ones stay solid. Both the list and the
+   * ghosts are hidden while a lesson prediction is pending, since an earlier
+   * shot could give the answer away.
    */
+  useEffect(() => {
+    const group = ghostGroupRef.current;
+    if (!group) return;
+    clearGroup(group);
+    if (!showGhosts || predicting) return;
+    let age = 0;
+    shotHistory.forEach((entry) => {
+      const opacity = ghostOpacity(entry.pinned ? 0 : age++, entry.pinned);
+      if (!entry.visible) return;
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(
+          entry.points.map((p) => new THREE.Vector3(p.x, p.y, p.z)),
+        ),
+        new THREE.LineBasicMaterial({
+          color: new THREE.Color(entry.color),
+          transparent: true,
+          opacity,
+        }),
+      );
+      group.add(line);
+    });
+  }, [shotHistory, showGhosts, predicting]);
+  const updateHistoryEntry = (id, changes) => {
+    setShotHistory((prev) =>
+      prev.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)),
+    );
+  };
+  const clearHistory = () => {
+    // Pinned shots survive a clear
+    setShotHistory((prev) => prev.filter((entry) => entry.pinned));
+  };
+  // Earlier visible shots overlaid on the kinematics charts
+  const MAX_CHART_OVERLAYS = 5;
+  const previousSeries = useMemo(
+    () =>
+      shotHistory
+        .filter((entry) => entry.visible && entry.id !== chartShot?.id)
+        .slice(0, MAX_CHART_OVERLAYS)
+        .map((entry) =>
+          kinematicSeries(entry.points, {
+            azimuth: entry.params.azimuth,
+            mass: entry.params.mass,
+            gravity: entry.params.gravity,
+          }),
+        ),
+    [shotHistory, chartShot],
+  );
   /**
-   * SECTION 8: UI RENDERING - FULLY RESPONSIVE
+   * SECTION 11: FLIGHT PLAYBACK
+   * The flight is driven by the simulation clock rather than wall time, so it
+   * can be paused, slowed down, stepped a frame at a time and scrubbed
    */
-  return (
-    <div className="w-full min-h-screen bg-gray-900 text-white flex flex-col">
-      {/* Main Content */}
-      <main className="flex-1 flex flex-col lg:flex-row overflow-hidden">
-        {/* 3D Canvas */}
-        <div className="relative flex-1  max-sm:h-[50vh] max-lg:h-auto max-md:flex max-md:jsutify-center max-md:items-center">
-          <canvas
-            ref={canvasRef}
-            className="w-full h-full cursor-grab active:cursor-grabbing touch-none"
-          />
-          {/* Camera Mode Buttons */}
-          <div className="absolute top-2 left-2 sm:top-4 sm:left-4 flex flex-wrap gap-1 sm:gap-2 max-w-xs">
-            {["overview", "follow", "side", "closeup"].map((mode) => (
-              <button
-                key={mode}
-                onClick={() => setCameraPreset(mode)}
-                className={`px-2 py-1 sm:px-3 rounded text-xs sm:text-sm transition-all ${
-                  cameraMode === mode
-                    ? "bg-blue-600 text-white"
-                    : "bg-black/70 text-gray-300 hover:bg-black/90"
-                }`}
-              >
-                {mode[0].toUpperCase() + mode.slice(1)}
-              </button>
-            ))}
-          </div>
-
-          {/* Firing Indicator */}
-          {isFiring && (
-            <div className="absolute top-2 right-2 sm:top-4 sm:right-4 bg-red-600/90 px-2 py-1 sm:px-4 sm:py-2 rounded animate-pulse shadow-md">
-              <div className="text-xs sm:text-sm font-bold">🔥 FIRING!</div>
-              <div className="hidden sm:block text-xs mt-1">
-                Pos: ({projectileData.position.x}, {projectileData.position.y})
-              </div>
-            </div>
-          )}
-
-          {/* Mobile Controls Button */}
-          <button
-            onClick={() => setShowPanel(!showPanel)}
-            className="lg:hidden absolute bottom-4 right-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-full shadow-md font-semibold text-sm transition-all"
-          >
-            {showPanel ? "✕ Close" : "⚙️ Controls"}
-          </button>
-        </div>
-
-        {/* Side Panel */}
-        <aside
-          className={`${
-            showPanel ? "translate-y-0" : "translate-y-full"
-          } lg:translate-y-0 fixed lg:relative inset-x-0 bottom-0 lg:bottom-auto lg:w-80 bg-gray-800 transition-transform duration-300 p-4 sm:p-6 overflow-y-auto z-50 lg:z-auto rounded-t-2xl lg:rounded-none shadow-2xl lg:shadow-none`}
-        >
-          {/* Mobile close button */}
-          <button
-            onClick={() => setShowPanel(false)}
-            className="lg:hidden absolute top-2 right-2 text-gray-400 hover:text-white text-2xl px-2"
-          >
-            ✕
-          </button>
-          <h2 className="text-lg sm:text-xl font-bold mb-4">Physics Data</h2>
-          {/* Cannon Parameters */}
-          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
-            <h3 className="font-semibold mb-3 text-blue-400 text-sm sm:text-base">
-              Cannon Parameters
-            </h3>
-            <div className="space-y-4">
-              <div>
-                <div className="flex justify-between text-sm sm:text-base mb-2">
-                  <span className="text-gray-300">Angle:</span>
-                  <span className="font-mono">{cannonAngle.toFixed(1)}°</span>
-                </div>
-                <div className="w-full bg-gray-600 rounded h-2 mb-2">
-                  <div
-                    className="bg-blue-500 h-2 rounded transition-all"
-                    style={{ width: `${(cannonAngle / 90) * 100}%` }}
-                  />
-                </div>
-                <input
-                  type="range"
-                  min="15"
-                  max="90"
+  const FRAME_STEP = 1 / 60; // simulated seconds per single-frame step
+  // The scene moves every frame, the React readouts (clock, projectile list)
+  // only this often, or at once when a shot is fired, lands or is scrubbed
+  const READOUT_INTERVAL = 100; // ms
+  const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+  const syncClockView = () => {
+    const { time, duration, playing } = simClockRef.current;
+    setClockView({ time, duration, playing });
+  };
+  useEffect(() => {
+    unitsRef.current = units;
+  }, [units]);
+  useEffect(() => {
+    const overlay = vectorOverlayRef.current;
+    if (overlay) overlay.group.visible = showVectors && isFiring;
+  }, [showVectors, isFiring]);
+  /**
+   * Points the overlay arrows along the projectile's current velocity; each
+   * is labelled with its magnitude and hidden when too short to draw
+   */
+  const updateVectorOverlay = (pos) => {
+    const { arrows, labels } = vectorOverlayRef.current;
+    const readout = unitsRef.current;
+    const origin = new THREE.Vector3(pos.x, pos.y, pos.z);
+    const horizontal = Math.hypot(pos.vx, pos.vz);
+    const speed = Math.hypot(horizontal, pos.vy);
+    const place = (key, direction, magnitude, text) => {
+      const length = magnitude * VECTOR_SCALE;
+      const visible = length > 0.05;
+      arrows[key].visible = visible;
+      labels[key].visible = visible;
+      if (!visible) return;
+      direction.normalize();
+      arrows[key].position.copy(origin);
+      arrows[key].setDirection(direction);
+      arrows[key].setLength(
+        length,
+        Math.min(0.6, length * 0.3),
+        Math.min(0.35, length * 0.2),
+      );
+      labels[key].position
+        .copy(origin)
+        .addScaledVector(direction, length)
+        .add(new THREE.Vector3(0, 0.6, 0));
+      setLabelText(labels[key], text);
+    };
+    place(
+      "velocity",
+      new THREE.Vector3(pos.vx, pos.vy, pos.vz),
+      speed,
+      `v = ${readout.withUnit(speed, "speed", 1)}`,
+    );
+    place(
+      "horizontal",
+      new THREE.Vector3(pos.vx, 0, pos.vz),
+      horizontal,
+      `vₓ = ${readout.withUnit(horizontal, "speed", 1)}`,
+    );
+    place(
+      "vertical",
+      new THREE.Vector3(0, pos.vy, 0),
+      Math.abs(pos.vy),
+      `v_y = ${readout.withUnit(pos.vy, "speed", 1)}`,
+    );
+    place(
+      "gravity",
+      new THREE.Vector3(0, -1, 0),
+      gravity,
+      `g = ${readout.withUnit(gravity, "acceleration")}`,
+    );
+  };
+  /**
+   * A flight is one projectile in the air: its shot, the clock time it left
+   * the muzzle, its own mesh and a trail that grows as it flies
+   */
+  const createFlight = (item, launchTime) => {
+    const color = projectileColor(item.projectile);
+    const mesh = new THREE.Mesh(
+      new THREE.SphereGeometry(displayRadius(item.projectile), 32, 32),
+      new THREE.MeshStandardMaterial({
+        color,
+        emissive: color,
+        emissiveIntensity: 0.3,
+      }),
+    );
+    mesh.castShadow = true;
+    mesh.visible = false;
+    const trail = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(
+        item.shot.points.map((p) => new THREE.Vector3(p.x, p.y, p.z)),
+      ),
+      new THREE.LineBasicMaterial({ color: new THREE.Color(item.color) }),
+    );
+    trail.geometry.setDrawRange(0, 0);
+    sceneRef.current.add(mesh, trail);
+    return {
+      ...item,
+      launchTime,
+      mesh,
+      trail,
+      targetsHit: new Set(),
+      prevPos: item.shot.points[0],
+      landed: false,
+    };
+  };
+  const disposeFlight = ({ mesh, trail }) => {
+    sceneRef.current.remove(mesh, trail);
+    [mesh, trail].forEach((object) => {
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+  };
+  /**
+   * Puts a volley of shots in the air at the current clock time. Firing while
+   * earlier flights are still up adds to them; otherwise the clock restarts.
+   * Each item is { shot, readouts, color, projectile, chart, shotTargets,
+   * onLanded(launchTime) }.
+   */
+  const launchFlights = (volley) => {
+    const clock = simClockRef.current;
+    if (flightsRef.current.length === 0) {
+      Object.assign(clock, {
+        time: 0,
+        duration: 0,
+        playing: true,
+        lastFrame: performance.now(),
+        seeked: false,
+      });
+      // Moving targets carry on from where they are
+      targetClockRef.current.epoch = targetClockRef.current.time;
+      targetMeshesRef.current.forEach((mesh) => {
+        mesh.material.color.setHex(TARGET_COLOR);
+        mesh.material.emissive.setHex(TARGET_COLOR);
+      });
+    }
+    volley.forEach((item) => {
+      flightsRef.current.push(createFlight(item, clock.time));
+      clock.duration = Math.max(
+        clock.duration,
+        clock.time + item.shot.duration,
+      );
+    });
+    const newest = volley[volley.length - 1];
+    setProjectileData(newest.readouts);
+    setChartShot({ ...newest.chart, launchTime: clock.time });
+    setIsFiring(true);
+    syncClockView();
+    // Restart the loop so it sees the current gravity
+    cancelAnimationFrame(flightFrameRef.current);
+    flightFrameRef.current = requestAnimationFrame(animateFlights);
+  };
+  // Targets in play for a flight light up as its path crosses them
+  const checkTargetHits = (flight, a, b) => {
+    const time = targetClockRef.current.epoch + simClockRef.current.time;
+    flight.shotTargets.forEach((target) => {
+      if (
+        flight.targetsHit.has(target.id) ||
+        !segmentHit(targetAt(target, time, terrain), a, b)
+      ) {
+        return;
+      }
+      flight.targetsHit.add(target.id);
+      const mesh = targetMeshesRef.current.get(target.id);
+      mesh?.material.color.setHex(TARGET_HIT_COLOR);
+      mesh?.material.emissive.setHex(TARGET_HIT_COLOR);
+    });
+  };
+  const animateFlights = (now) => {
+    const clock = simClockRef.current;
+    const flights = flightsRef.current;
+    const frameTime = (now - clock.lastFrame) / 1000;
+    clock.lastFrame = now;
+    if (clock.playing) {
+      clock.time = Math.min(
+        clock.time + frameTime * clock.speed,
+        clock.duration,
+      );
+    }
+    // A scrub is a jump, not a path the projectiles travelled
+    const seeked = clock.seeked;
+    clock.seeked = false;
+    const inAir = [];
+    flights.forEach((flight) => {
+      const { shot } = flight;
+      const time = clock.time - flight.launchTime;
+      if (time < 0) {
+        // Scrubbed back to before this one was fired
+        flight.mesh.visible = false;
+        flight.trail.geometry.setDrawRange(0, 0);
+        flight.prevPos = shot.points[0];
+        return;
+      }
+      const pos = sampleTrajectory(shot, time);
+      if (seeked) flight.prevPos = pos;
+      checkTargetHits(flight, flight.prevPos, pos);
+      flight.prevPos = pos;
+      flight.trail.geometry.setDrawRange(0, flownSamples(shot, time));
+      flight.mesh.position.set(pos.x, pos.y, pos.z);
+      flight.mesh.visible = time < shot.duration;
+      if (flight.mesh.visible) {
+        inAir.push({ flight, time, pos });
+      } else if (!flight.landed) {
+        // Landed (and came to rest, if it bounces)
+        flight.landed = true;
+        flight.onLanded?.(flight.launchTime);
+      }
+    });
+    if (clock.playing && clock.time >= clock.duration) {
+      // Last projectile of the volley is down
+      flights.forEach(disposeFlight);
+      flightsRef.current = [];
+      flightFrameRef.current = null;
+      leadFlightRef.current = null;
+      hudLinesRef.current = [];
+      readoutRef.current = { at: now, time: clock.time, count: 0 };
+      clock.playing = false;
+      syncClockView();
+      setActiveFlights([]);
+      setIsFiring(false);
+      setShowPanel(true);
+      // A lesson shot has landed: time to show the answers
+      setLesson((prev) =>
+        prev?.phase === "flying"
+          ? {
+              ...prev,
+              phase: "revealed",
+              scores: [...prev.scores, prev.check.score],
+            }
+          : prev,
+      );
+      if (recordAutoStopRef.current && recorderRef.current) {
+        // Keep a moment after the landing in the clip
+        setTimeout(stopRecordingClip, RECORDING_TAIL_MS);
+      }
+      return;
+    }
+    // The overlay and the camera rig track the most recently fired projectile
+    const lead = inAir[inAir.length - 1];
+    leadFlightRef.current = lead ? lead.pos : null;
+    if (lead) updateVectorOverlay(lead.pos);
+    const readouts = inAir.map(({ flight, time, pos }) => ({
+      id: flight.id,
+      angle: flight.angle,
+      velocity: flight.velocity,
+      color: flight.color,
+      time,
+      x: pos.x,
+      y: pos.y,
+      z: pos.z,
+    }));
+    // A recorded clip gets its HUD lines fresh every frame
+    const readout = unitsRef.current;
+    hudLinesRef.current = [
+      `t = ${readout.withUnit(clock.time, "time")}`,
+      ...readouts.map(
+        (flight) =>
+          `${flightLabel(flight, readout)}  ${flightPosition(flight, readout)}`,
+      ),
+    ];
+    const last = readoutRef.current;
+    if (
+      seeked ||
+      readouts.length !== last.count ||
+      (clock.time !== last.time && now - last.at >= READOUT_INTERVAL)
+    ) {
+      readoutRef.current = {
+        at: now,
+        time: clock.time,
+        count: readouts.length,
+      };
+      setActiveFlights(readouts);
+      syncClockView();
+    }
+    flightFrameRef.current = requestAnimationFrame(animateFlights);
+  };
+  const togglePlayback = () => {
+    const clock = simClockRef.current;
+    clock.playing = !clock.playing;
+    syncClockView();
+  };
+  const stepFrame = (direction) => {
+    const clock = simClockRef.current;
+    clock.playing = false;
+    clock.time = Math.min(
+      Math.max(clock.time + direction * FRAME_STEP, 0),
+      clock.duration,
+    );
+    if (direction < 0) clock.seeked = true;
+    syncClockView();
+  };
+  const scrubTo = (time) => {
+    const clock = simClockRef.current;
+    clock.playing = false;
+    clock.time = time;
+    clock.seeked = true;
+    syncClockView();
+  };
+  const changePlaybackSpeed = (speed) => {
+    simClockRef.current.speed = speed;
+    setPlaybackSpeed(speed);
+  };
+  /**
+   * SECTION 12: FIRE PROJECTILE
+   * A single shot is the trajectory already previewed; a salvo solves one
+   * trajectory per angle (or speed) around it. Each shot gets its own history
+   * entry and flight, up to the cap on projectiles in the air.
+   */
+  const inAirCount = activeFlights.length;
+  const solveShot = (angle, v0, effects = {}) =>
+    solveTrajectory({
+      ...launchFromMount({
+        angle,
+        v0,
+        azimuth: cannonAzimuth,
+        mountHeight,
+        barrelLength,
+        baseHeight,
+      }),
+      gravity,
+      wind,
+      terrain,
+      obstacles,
+      ...effects,
+    });
+  /**
+   * History entry, readouts and flight for one shot at `angle` and `v0`
+   */
+  const prepareShot = (angle, v0) => {
+    const isPreview = angle === cannonAngle && v0 === initialVelocity;
+    const shot = isPreview
+      ? trajectory
+      : solveShot(angle, v0, {
+          drag: dragModel,
+          impact: impactEnabled ? impactParams : null,
+        });
+    const vacuum =
+      dragEnabled && (isPreview ? vacuumTrajectory : solveShot(angle, v0));
+    const entry = createHistoryEntry(
+      nextShotIdRef.current++,
+      {
+        angle,
+        velocity: v0,
+        azimuth: cannonAzimuth,
+        mass: projectile.mass,
+        projectile,
+        gravity,
+        mountHeight,
+        barrelLength,
+        drag: dragModel,
+        wind: { speed: windSpeed, heading: windHeading },
+        terrain: terrainConfig,
+        impact: impactEnabled ? impactParams : null,
+      },
+      shot,
+    );
+    const impactSpeed = shot.impact.speed;
+    // Raw SI figures; formatted in the display units when shown
+    const readouts = {
+      range: shot.range,
+      maxHeight: shot.maxHeight,
+      timeOfFlight: shot.timeOfFlight,
+      drift: shot.drift,
+      stoppedBy: shot.impact.surface,
+      bounce: impactEnabled
+        ? {
+            totalTravel: shot.totalTravel,
+            count: shot.bounces.length,
+            rest: {
+              x: shot.rest.x,
+              y: shot.rest.y,
+              z: shot.rest.z,
+            },
+          }
+        : null,
+      energy: {
+        launchEnergy: kineticEnergy(projectile.mass, v0),
+        impactEnergy: kineticEnergy(projectile.mass, impactSpeed),
+        launchMomentum: projectile.mass * v0,
+        impactMomentum: projectile.mass * impactSpeed,
+        impactSpeed,
+        impactAngle: descentAngle(shot.impact),
+      },
+      vacuum: vacuum
+        ? {
+            range: vacuum.range,
+            maxHeight: vacuum.maxHeight,
+            timeOfFlight: vacuum.timeOfFlight,
+          }
+        : null,
+    };
+    const shotTargets = targetMode ? targets : [];
+    const gameShot = game !== null;
+    return {
+      entry,
+      flight: {
+        id: entry.id,
+        angle,
+        velocity: v0,
+        color: entry.color,
+        projectile,
+        shot,
+        readouts,
+        chart: {
+          id: entry.id,
+          series: kinematicSeries(shot.points, {
+            azimuth: cannonAzimuth,
+            mass: projectile.mass,
+            gravity,
+          }),
+        },
+        shotTargets,
+        onLanded: (launchTime) => {
+          if (gameShot) {
+            const landed = shot.impact.surface ? shot.impact : null;
+            setGame((prev) => prev && resolveShot(prev, landed, terrain));
+          }
+          if (shotTargets.length === 0) return;
+          const { hits, best } = evaluateShot(shotTargets, shot.points, {
+            time: targetClockRef.current.epoch + launchTime,
+            terrain,
+          });
+          setSession((prev) => ({
+            shots: prev.shots + 1,
+            hits: prev.hits + (hits.length > 0 ? 1 : 0),
+            score: prev.score + best.score,
+            bestMiss:
+              prev.bestMiss === null
+                ? best.miss
+                : Math.min(prev.bestMiss, best.miss),
+            last: {
+              type: best.target.type,
+              miss: best.miss,
+              hit: best.hit,
+              score: best.score,
+            },
+          }));
+        },
+      },
+    };
+  };
+  /**
+   * Fires shots at the given launch values, dropping any that would take the
+   * number in the air past the cap
+   */
+  const fireShots = (shots) => {
+    // close the popup in mobile
+    setShowPanel(false);
+    const room = maxInAir - inAirCount;
+    if (!sceneRef.current || room <= 0) return;
+    const prepared = shots
+      .slice(0, room)
+      .map(({ angle, v0 }) => prepareShot(angle, v0));
+    setShotHistory((prev) =>
+      prepared.reduce(
+        (history, { entry }) => addToHistory(history, entry),
+        prev,
+      ),
+    );
+    const volley = prepared.map(({ flight }) => flight);
+    // Replays fly the same shots again without scoring them
+    lastVolleyRef.current = volley.map((flight) => ({
+      ...flight,
+      onLanded: null,
+    }));
+    setCanReplay(true);
+    launchFlights(volley);
+  };
+  const fireProjectile = () => {
+    if (!canFire) return;
+    if (game) setGame((prev) => ({ ...prev, phase: "flying" }));
+    fireShots([{ angle: cannonAngle, v0: initialVelocity }]);
+  };
+  const fireSalvo = () => {
+    if (concealed) return;
+    const { count, parameter, step } = salvoConfig;
+    const center = parameter === "angle" ? cannonAngle : initialVelocity;
+    fireShots(
+      salvoValues(parameter, center, count, step).map((value) =>
+        parameter === "angle"
+          ? { angle: value, v0: initialVelocity }
+          : { angle: cannonAngle, v0: value },
+      ),
+    );
+  };
+  const salvoQuantity = SWEEP_PARAMETERS[salvoConfig.parameter].quantity;
+  /**
+   * Runs the target clock each frame, moves the moving targets along it and
+   * fires an armed lead shot (SECTION 8) when its time comes, as long as the
+   * aim is still the one solved for. The step is an effect event, so the
+   * render loop always runs it with the current state.
+   */
+  const stepTargetRig = useEffectEvent((dt) => {
+    const clock = targetClockRef.current;
+    clock.time =
+      flightsRef.current.length > 0
+        ? clock.epoch + simClockRef.current.time
+        : clock.time + dt;
+    if (targetMode) {
+      movingTargets.forEach((target) => {
+        const mesh = targetMeshesRef.current.get(target.id);
+        if (mesh) placeTargetMesh(mesh, targetAt(target, clock.time, terrain));
+      });
+    }
+    const armed = armedShotRef.current;
+    if (!armed || clock.time < armed.at) return;
+    armedShotRef.current = null;
+    const fired =
+      targetMode &&
+      armed.angle === cannonAngle &&
+      armed.azimuth === cannonAzimuth &&
+      armed.v0 === initialVelocity;
+    setLeadSolution((prev) => prev && { ...prev, armed: false, fired });
+    if (fired) fireProjectile();
+  });
+  useEffect(() => {
+    targetRigRef.current = (dt) => stepTargetRig(dt);
+    return () => {
+      targetRigRef.current = null;
+    };
+  }, []);
+  /**
+   * Re-runs the last volley exactly as it was fired; replays are not scored
+   */
+  const replayLastShot = () => {
+    // A replay would fly across a battlefield that has since turned round
+    if (isFiring || !lastVolleyRef.current || game) return;
+    setShowPanel(false);
+    launchFlights(lastVolleyRef.current);
+  };
+  /**
+   * Keyboard shortcuts: arrows aim unless the aim is locked (up/down angle,
+   * left/right velocity; hold Shift for fine steps), space fires, 1–7 pick a
+   * camera view and R undoes any orbit, pan or zoom. The handler is an
+   * effect event, so it always sees the current state without re-subscribing.
+   */
+  const resetView = () => {
+    if (cameraMode !== "free") {
+      setCameraPreset(cameraMode);
+      return;
+    }
+    // Free flight starts over from the overview viewpoint
+    const { rotation, distance, target } = ORBIT_PRESETS.overview;
+    placeOnOrbit(
+      cameraRef.current,
+      new THREE.Vector3(...target),
+      rotation,
+      distance,
+    );
+    freeFlyRef.current = freeFlyFrom(cameraRef.current);
+  };
+  const handleShortcut = useEffectEvent((e) => {
+    const tag = e.target.tagName;
+    if (
+      e.ctrlKey ||
+      e.metaKey ||
+      e.altKey ||
+      e.target.isContentEditable ||
+      ["INPUT", "SELECT", "TEXTAREA"].includes(tag) ||
+      // A focused button already answers space with a click
+      (e.key === " " && tag === "BUTTON")
+    ) {
+      return;
+    }
+    // Arrows do nothing while the aim is locked
+    if (aimLocked && e.key.startsWith("Arrow")) return;
+    const step = e.shiftKey ? 0.1 : 1;
+    const nudge = (value, delta, min, max) =>
+      Math.min(Math.max(Math.round((value + delta) * 10) / 10, min), max);
+    const mode = CAMERA_MODES[Number(e.key) - 1];
+    if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      const delta = e.key === "ArrowUp" ? step : -step;
+      setCannonAngle((prev) => nudge(prev, delta, 15, 90));
+    } else if (e.key === "ArrowRight" || e.key === "ArrowLeft") {
+      const delta = e.key === "ArrowRight" ? step : -step;
+      setInitialVelocity((prev) => nudge(prev, delta, 10, 100));
+    } else if (e.key === " ") {
+      if (!e.repeat) fireProjectile();
+    } else if (mode) {
+      setCameraPreset(mode);
+    } else if (e.key === "r" || e.key === "R") {
+      resetView();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  });
+  useEffect(() => {
+    const handleKeyDown = (e) => handleShortcut(e);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+  /**
+   * Reset camera to overview after firing completes
+   */
+  useEffect(() => {
+    if (!isFiring && cameraMode === "follow") {
+      setTimeout(() => {
+        cameraControlsRef.current.target.set(0, 5, 0);
+      }, 500);
+    }
+  }, [isFiring, cameraMode]);
+  /**
+   * SECTION 13: DATA EXPORT AND IMPORT
+   * Exports the previewed trajectory with its parameters, and overlays
+   * measured (t, x, y) points with their residuals against it
+   */
+  const exportParameters = () => ({
+    angle: cannonAngle,
+    velocity: initialVelocity,
+    azimuth: cannonAzimuth,
+    mountHeight,
+    barrelLength,
+    gravity,
+    projectile,
+    drag: dragModel,
+    wind: { speed: windSpeed, heading: windHeading },
+    terrain: terrainConfig,
+    obstacles: obstacles.length,
+    impact: impactEnabled ? impactParams : null,
+  });
+  const downloadUrl = (name, url) => {
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    link.click();
+  };
+  const downloadFile = (name, data, type) => {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    downloadUrl(name, url);
+    // Some browsers only start the download after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+  const exportTrajectory = (format) => {
+    if (format === "csv") {
+      downloadFile(
+        "trajectory.csv",
+        trajectoryToCsv(trajectory, exportParameters(), units),
+        "text/csv",
+      );
+    } else {
+      downloadFile(
+        "trajectory.json",
+        trajectoryToJson(trajectory, exportParameters(), units),
+        "application/json",
+      );
+    }
+  };
+  /**
+   * Clips and snapshots of the 3D view. The recorder captures a 2D copy of
+   * each rendered frame (see SECTION 1), so the HUD lines the flight loop
+   * keeps (SECTION 11) can be drawn in.
+   */
+  const startRecordingClip = (hud) => {
+    const canvas = document.createElement("canvas");
+    captureRef.current = { canvas, hud };
+    recorderRef.current = startRecording(canvas);
+    setRecording(true);
+  };
+  const stopRecordingClip = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+    setRecording(false);
+    const video = await recorder.stop();
+    captureRef.current = null;
+    downloadFile(timestampedName("cannon", "webm"), video, video.type);
+  };
+  const changeRecordHud = (hud) => {
+    if (captureRef.current) captureRef.current.hud = hud;
+  };
+  // Renders one frame at `scale` times the pixel ratio and saves it as a PNG
+  const takeSnapshot = (scale) => {
+    const renderer = rendererRef.current;
+    if (!renderer) return;
+    const ratio = renderer.getPixelRatio();
+    renderer.setPixelRatio(ratio * scale);
+    renderer.render(sceneRef.current, cameraRef.current);
+    // Read back before the drawing buffer is cleared
+    const url = renderer.domElement.toDataURL("image/png");
+    renderer.setPixelRatio(ratio);
+    downloadUrl(timestampedName("cannon", "png"), url);
+  };
+  const residuals = useMemo(
+    () =>
+      measured
+        ? measurementResiduals(trajectory, measured.points, cannonAzimuth)
+        : null,
+    [measured, trajectory, cannonAzimuth],
+  );
+  useEffect(() => {
+    const group = measuredGroupRef.current;
+    if (!group) return;
+    clearGroup(group);
+    if (!measured) return;
+    const markerGeometry = new THREE.OctahedronGeometry(0.25);
+    const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xe040fb });
+    const segments = [];
+    measured.points.forEach((point, i) => {
+      const { x, y, z } = measuredToWorld(point, cannonAzimuth);
+      const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+      marker.position.set(x, y, z);
+      group.add(marker);
+      // Residual: from the measurement to where the model puts it then
+      const computed = residuals.residuals[i].world;
+      segments.push(
+        new THREE.Vector3(x, y, z),
+        new THREE.Vector3(computed.x, computed.y, computed.z),
+      );
+    });
+    group.add(
+      new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(segments),
+        new THREE.LineBasicMaterial({ color: 0xe040fb }),
+      ),
+    );
+  }, [measured, residuals, cannonAzimuth]);
+  /**
+   * SECTION 14: SCENARIOS
+   * The whole setup round-trips through one plain object: it is mirrored into
+   * the URL hash as it changes and can be saved to a named library
+   */
+  // Rebuilt only when a setting changes, not on every flight frame
+  const currentScenario = useMemo(
+    () => ({
+      angle: cannonAngle,
+      velocity: initialVelocity,
+      azimuth: cannonAzimuth,
+      gravity: { preset: gravityPreset, value: gravity },
+      mountHeight,
+      barrelLength,
+      camera: cameraMode,
+      projectile: {
+        preset: projectile.preset,
+        diameter: projectile.diameter,
+        density: projectile.density,
+        dragCoefficient: projectile.dragCoefficient,
+      },
+      drag: { enabled: dragEnabled, airDensity },
+      impact: { enabled: impactEnabled, ...impactParams },
+      wind: { speed: windSpeed, heading: windHeading },
+      terrain: terrainConfig,
+      obstacles: scenarioObstacles(obstacles),
+      targetMode,
+      targetType,
+      targets: scenarioTargets(targets, terrain),
+      aimTarget,
+    }),
+    [
+      cannonAngle,
+      initialVelocity,
+      cannonAzimuth,
+      gravityPreset,
+      gravity,
+      mountHeight,
+      barrelLength,
+      cameraMode,
+      projectile,
+      dragEnabled,
+      airDensity,
+      impactEnabled,
+      impactParams,
+      windSpeed,
+      windHeading,
+      terrainConfig,
+      obstacles,
+      targetMode,
+      targetType,
+      targets,
+      terrain,
+      aimTarget,
+    ],
+  );
+  const applyScenario = (scenario) => {
+    // A scenario sets up the whole simulator, so it ends any game and there
+    // is nothing to go back to
+    setGame(null);
+    preGameRef.current = null;
+    const nextTerrain = createTerrain(
+      scenario.terrain.type,
+      scenario.terrain.seed,
+    );
+    const { enabled: impact, ...nextImpact } = scenario.impact;
+    setCannonAngle(scenario.angle);
+    setInitialVelocity(scenario.velocity);
+    setCannonAzimuth(scenario.azimuth);
+    setGravityPreset(scenario.gravity.preset);
+    setGravity(scenario.gravity.value);
+    setMountHeight(scenario.mountHeight);
+    setBarrelLength(scenario.barrelLength);
+    setProjectile(
+      scenario.projectile.preset === "custom"
+        ? createProjectile("custom", scenario.projectile)
+        : createProjectile(scenario.projectile.preset),
+    );
+    setDragEnabled(scenario.drag.enabled);
+    setAirDensity(scenario.drag.airDensity);
+    setImpactEnabled(impact);
+    setImpactParams(nextImpact);
+    setWindSpeed(scenario.wind.speed);
+    setWindHeading(scenario.wind.heading);
+    setTerrainConfig(scenario.terrain);
+    setObstacles(
+      scenario.obstacles.map((o) =>
+        createObstacle(o.type, o.x, o.z, nextTerrain),
+      ),
+    );
+    setTargetMode(scenario.targetMode);
+    setTargetType(scenario.targetType);
+    setTargets(
+      scenario.targets.map((t) => {
+        const groundY = nextTerrain.heightAt(t.x, t.z);
+        const target = createTarget(t.type, t.x, t.z, t.elevation, groundY);
+        return t.motion ? addMotion(target, t.motion, groundY) : target;
+      }),
+    );
+    setPlacingTargets(false);
+    setLeadSolution(null);
+    armedShotRef.current = null;
+    setAimTarget(scenario.aimTarget);
+    setAimSolution(null);
+    resetSession();
+    setCameraPreset(scenario.camera);
+  };
+  // On first load: open the scenario in the link, if any.
+  // Done once; later changes flow the other way, from state to the URL
+  const openInitialScenario = useEffectEvent(() => {
+    const fromUrl = scenarioFromHash(window.location.hash);
+    if (fromUrl) applyScenario(fromUrl);
+    setUrlLoaded(true);
+  });
+  useEffect(() => {
+    if (urlReadRef.current) return;
+    urlReadRef.current = true;
+    openInitialScenario();
+  }, []);
+  useEffect(() => {
+    if (!urlLoaded) return;
+    // replaceState: tweaking a slider should not fill the back button
+    window.history.replaceState(null, "", scenarioHash(currentScenario));
+  }, [currentScenario, urlLoaded]);
+  /**
+   * SECTION 15: LESSON MODE
+   * Each challenge sets up the cannon from its scenario fields; the student
+   * predicts, fires, and only then sees the path and how close they were
+   */
+  const challenge = lesson ? lesson.lesson.challenges[lesson.index] : null;
+  useEffect(() => {
+    if (previewGroupRef.current) previewGroupRef.current.visible = !concealed;
+  }, [concealed]);
+  const loadChallenge = (lessonDef, index, scores = []) => {
+    applyScenario(lessonDef.challenges[index].setup);
+    setLesson({
+      lesson: lessonDef,
+      index,
+      predictions: {},
+      hints: 0,
+      phase: "predict",
+      check: null,
+      scores,
+    });
+    setHighlightEquation(null);
+  };
+  const startLesson = (lessonDef) => loadChallenge(lessonDef, 0);
+  const nextChallenge = () =>
+    loadChallenge(lesson.lesson, lesson.index + 1, lesson.scores);
+  const exitLesson = () => {
+    setLesson(null);
+    setHighlightEquation(null);
+  };
+  const updatePrediction = (key, value) => {
+    setLesson((prev) => ({
+      ...prev,
+      predictions: { ...prev.predictions, [key]: value },
+    }));
+  };
+  const showHint = () => {
+    setLesson((prev) => ({ ...prev, hints: prev.hints + 1 }));
+  };
+  const predictionsReady =
+    challenge?.ask.every(
+      (key) =>
+        lesson.predictions[key] !== undefined &&
+        lesson.predictions[key] !== "" &&
+        Number.isFinite(Number(lesson.predictions[key])),
+    ) ?? false;
+  const fireLessonShot = () => {
+    if (!challenge || lesson.phase !== "predict" || !predictionsReady) return;
+    if (isFiring) return;
+    const predicted = Object.fromEntries(
+      challenge.ask.map((key) => [
+        key,
+        units.fromDisplay(
+          Number(lesson.predictions[key]),
+          PREDICTIONS[key].quantity,
+        ),
+      ]),
+    );
+    // Scored against the path about to be fired, revealed when it lands
+    setLesson((prev) => ({
+      ...prev,
+      phase: "flying",
+      check: checkPredictions(challenge, predicted, trajectory),
+    }));
+    fireShots([{ angle: cannonAngle, v0: initialVelocity }]);
+  };
+  const showEquation = (id) => {
+    setHighlightEquation(id);
+    // Wait a render in case the line only appears once highlighted
+    setTimeout(() => {
+      document
+        .getElementById(`eq-${id}`)
+        ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    });
+  };
+  const equationClass = (id) =>
+    highlightEquation === id
+      ? "bg-yellow-500/30 text-yellow-200 rounded px-1"
+      : undefined;
+  /**
+   * SECTION 16: MEASURING TOOLS
+   * Ruler, height gauge and path inspector (lib/measure.js). They are off in
+   * lesson mode until the answer is revealed, since they would give it away.
+   */
+  const measuring = concealed ? null : measureTool;
+  const gaugeReading = useMemo(
+    () => heightAtDistance(trajectory, gaugeDistance, cannonAzimuth),
+    [trajectory, gaugeDistance, cannonAzimuth],
+  );
+  const gaugeBase = useMemo(() => {
+    const aim = headingVector(cannonAzimuth);
+    const x = aim.x * gaugeDistance;
+    const z = aim.z * gaugeDistance;
+    return { x, y: terrain.heightAt(x, z), z };
+  }, [cannonAzimuth, gaugeDistance, terrain]);
+  // The pin belongs to the path it was placed on
+  const pinnedPoint =
+    inspectPin && inspectPin.trajectory === trajectory
+      ? inspectPin.point
+      : null;
+  const chooseMeasureTool = (tool) => {
+    setMeasureTool((prev) => (prev === tool ? null : tool));
+    setHoverPoint(null);
+  };
+  useEffect(() => {
+    const group = measureGroupRef.current?.ruler;
+    if (!group) return;
+    clearGroup(group);
+    if (measuring !== "ruler") return;
+    rulerPoints.forEach((point) => group.add(measureMarker(point, 0xf472b6)));
+    if (rulerPoints.length < 2) return;
+    const [a, b] = rulerPoints;
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(a.x, a.y, a.z),
+        new THREE.Vector3(b.x, b.y, b.z),
+      ]),
+      new THREE.LineBasicMaterial({ color: 0xf472b6, depthTest: false }),
+    );
+    const label = createLabel(
+      units.withUnit(rulerReading(a, b).distance, "length"),
+      "#f472b6",
+    );
+    label.position.set((a.x + b.x) / 2, (a.y + b.y) / 2 + 0.8, (a.z + b.z) / 2);
+    group.add(line, label);
+  }, [rulerPoints, measuring, units]);
+  useEffect(() => {
+    const group = measureGroupRef.current?.gauge;
+    if (!group) return;
+    clearGroup(group);
+    gaugeHandleRef.current = null;
+    if (measuring !== "gauge") return;
+    const top = Math.max(gaugeBase.y, ...trajectory.points.map((p) => p.y)) + 3;
+    const { x, z } = gaugeBase;
+    // Ticks every display unit of height, longer every fifth
+    const tick = units.fromDisplay(1, "length");
+    const aim = headingVector(cannonAzimuth);
+    const side = new THREE.Vector3(aim.x, 0, aim.z);
+    const ticks = [
+      new THREE.Vector3(x, gaugeBase.y, z),
+      new THREE.Vector3(x, top, z),
+    ];
+    for (let n = Math.ceil(gaugeBase.y / tick); n * tick <= top; n++) {
+      const length = n % 5 === 0 ? 0.6 : 0.3;
+      ticks.push(
+        new THREE.Vector3(x, n * tick, z),
+        new THREE.Vector3(x, n * tick, z).addScaledVector(side, length),
+      );
+    }
+    const scale = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(ticks),
+      new THREE.LineBasicMaterial({ color: 0xa3e635 }),
+    );
+    // Wider than the scale so it is easy to grab; never drawn
+    const handle = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.6, 0.6, top - gaugeBase.y, 8),
+      new THREE.MeshBasicMaterial({ visible: false }),
+    );
+    handle.position.set(x, (top + gaugeBase.y) / 2, z);
+    gaugeHandleRef.current = handle;
+    const distanceLabel = createLabel(
+      `x=${units.withUnit(gaugeDistance, "length")}`,
+      "#a3e635",
+    );
+    distanceLabel.position.set(x, top + 0.6, z);
+    group.add(scale, handle, distanceLabel);
+    if (gaugeReading) {
+      const label = createLabel(
+        `y=${units.withUnit(gaugeReading.y, "length")}`,
+        "#a3e635",
+      );
+      label.position.set(gaugeReading.x, gaugeReading.y + 0.8, gaugeReading.z);
+      group.add(measureMarker(gaugeReading, 0xa3e635), label);
+    }
+  }, [
+    measuring,
+    gaugeBase,
+    gaugeDistance,
+    gaugeReading,
+    trajectory,
+    cannonAzimuth,
+    units,
+  ]);
+  useEffect(() => {
+    const group = measureGroupRef.current?.pin;
+    if (!group) return;
+    clearGroup(group);
+    if (measuring !== "inspect" || !pinnedPoint) return;
+    const label = createLabel(
+      pointReadout(pinnedPoint, units)
+        .map(([name, value]) => `${name}=${value}`)
+        .join(" "),
+      "#38bdf8",
+    );
+    label.position.set(pinnedPoint.x, pinnedPoint.y + 0.8, pinnedPoint.z);
+    group.add(measureMarker(pinnedPoint, 0x38bdf8), label);
+  }, [measuring, pinnedPoint, units]);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !measuring) return;
+    const raycasterFor = (e) => pointerRaycaster(e, canvas, cameraRef.current);
+    const pathPointUnder = (raycaster) => {
+      const hit = raycastLine(
+        raycaster,
+        trajectoryLineRef.current,
+        cameraRef.current,
+      );
+      return hit ? trajectoryPointAt(trajectory, hit, cannonAzimuth) : null;
+    };
+    const moveGauge = (e) => {
+      const distance = aimDistanceUnderPointer(raycasterFor(e), cannonAzimuth);
+      if (distance === null) return;
+      setGaugeDistance(Math.min(Math.max(distance, 0), FIELD_SIZE / 2));
+    };
+    const grabsGauge = (e) =>
+      measuring === "gauge" &&
+      gaugeHandleRef.current !== null &&
+      raycasterFor(e).intersectObject(gaugeHandleRef.current).length > 0;
+    // Distinguish a click from the end of a camera drag, like SECTION 8
+    let downAt = null;
+    let dragging = false;
+    // Registered as capturing listeners so a grab on the gauge can keep the
+    // camera controls (SECTION 2) from starting a drag
+    const handleMouseDown = (e) => {
+      downAt = { x: e.clientX, y: e.clientY };
+      if (grabsGauge(e)) {
+        e.preventDefault();
+        dragging = true;
+      }
+    };
+    const handleMouseMove = (e) => {
+      if (dragging) {
+        moveGauge(e);
+        return;
+      }
+      if (measuring !== "inspect" || cameraControlsRef.current.isDragging) {
+        return;
+      }
+      const point = pathPointUnder(raycasterFor(e));
+      const rect = canvas.getBoundingClientRect();
+      setHoverPoint(
+        point
+          ? { left: e.clientX - rect.left, top: e.clientY - rect.top, point }
+          : null,
+      );
+    };
+    const handleMouseUp = () => {
+      dragging = false;
+    };
+    const handleMouseLeave = () => {
+      dragging = false;
+      setHoverPoint(null);
+    };
+    const handleClick = (e) => {
+      if (
+        !downAt ||
+        Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 5
+      ) {
+        return;
+      }
+      const raycaster = raycasterFor(e);
+      if (measuring === "gauge") {
+        moveGauge(e);
+      } else if (measuring === "inspect") {
+        const point = pathPointUnder(raycaster);
+        setInspectPin(point ? { trajectory, point } : null);
+      } else {
+        const [groundHit] = raycaster.intersectObject(groundRef.current);
+        const point = pathPointUnder(raycaster) ?? groundHit?.point;
+        if (!point) return;
+        const { x, y, z } = point;
+        setRulerPoints((prev) =>
+          prev.length >= 2 ? [{ x, y, z }] : [...prev, { x, y, z }],
+        );
+      }
+    };
+    const handleTouchStart = (e) => {
+      if (e.touches.length === 1 && grabsGauge(e.touches[0])) {
+        e.preventDefault();
+        dragging = true;
+      }
+    };
+    const handleTouchMove = (e) => {
+      if (dragging) moveGauge(e.touches[0]);
+    };
+    canvas.addEventListener("mousedown", handleMouseDown, true);
+    canvas.addEventListener("mousemove", handleMouseMove);
+    canvas.addEventListener("mouseup", handleMouseUp);
+    canvas.addEventListener("mouseleave", handleMouseLeave);
+    canvas.addEventListener("click", handleClick);
+    canvas.addEventListener("touchstart", handleTouchStart, {
+      capture: true,
+      passive: false,
+    });
+    canvas.addEventListener("touchmove", handleTouchMove, { passive: true });
+    canvas.addEventListener("touchend", handleMouseUp);
+    canvas.addEventListener("touchcancel", handleMouseUp);
+    return () => {
+      canvas.removeEventListener("mousedown", handleMouseDown, true);
+      canvas.removeEventListener("mousemove", handleMouseMove);
+      canvas.removeEventListener("mouseup", handleMouseUp);
+      canvas.removeEventListener("mouseleave", handleMouseLeave);
+      canvas.removeEventListener("click", handleClick);
+      canvas.removeEventListener("touchstart", handleTouchStart, true);
+      canvas.removeEventListener("touchmove", handleTouchMove);
+      canvas.removeEventListener("touchend", handleMouseUp);
+      canvas.removeEventListener("touchcancel", handleMouseUp);
+    };
+  }, [measuring, trajectory, cannonAzimuth]);
+  /**
+   * SECTION 17: ARTILLERY GAME
+   * Two players share the controls in turns, one shot each. Each turn swings
+   * the battlefield round to the shooter's side (see lib/artillery.js), rolls
+   * a new wind and brings back that player's last aim. The rival cannon is a
+   * copy of the cannon model, posed with the other player's aim.
+   */
+  const beginTurn = (next) => {
+    const aim = next.aims[next.turn];
+    setGame(next);
+    setCannonAngle(aim.angle);
+    setInitialVelocity(aim.velocity);
+    setCannonAzimuth(aim.azimuth);
+    setWindSpeed(next.wind.speed);
+    setWindHeading(next.wind.heading);
+    setCameraPreset("overview");
+  };
+  const startGame = () => {
+    preGameRef.current = {
+      aim: {
+        angle: cannonAngle,
+        velocity: initialVelocity,
+        azimuth: cannonAzimuth,
+      },
+      wind: { speed: windSpeed, heading: windHeading },
+      targetMode,
+      obstacles,
+      measureTool,
+      showGhosts,
+      dragEnabled,
+      impactEnabled,
+    };
+    exitLesson();
+    setTargetMode(false);
+    setPlacingTargets(false);
+    setObstacles([]);
+    setMeasureTool(null);
+    setShowGhosts(false);
+    // Wind only pushes through drag; a bounce would carry the shell away from
+    // where it struck
+    setDragEnabled(true);
+    setImpactEnabled(false);
+    beginTurn(createGame());
+  };
+  const passTurn = () =>
+    beginTurn(
+      nextTurn(game, {
+        angle: cannonAngle,
+        velocity: initialVelocity,
+        azimuth: cannonAzimuth,
+      }),
+    );
+  // Quitting puts back the free-play settings the game started from
+  const quitGame = () => {
+    const saved = preGameRef.current;
+    preGameRef.current = null;
+    setGame(null);
+    setCannonAngle(saved.aim.angle);
+    setInitialVelocity(saved.aim.velocity);
+    setCannonAzimuth(saved.aim.azimuth);
+    setWindSpeed(saved.wind.speed);
+    setWindHeading(saved.wind.heading);
+    setTargetMode(saved.targetMode);
+    setObstacles(saved.obstacles);
+    setMeasureTool(saved.measureTool);
+    setShowGhosts(saved.showGhosts);
+    setDragEnabled(saved.dragEnabled);
+    setImpactEnabled(saved.impactEnabled);
+  };
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const model = cannonYawRef.current;
+    if (!scene || !model || !game) return;
+    const { separation } = game.field;
+    const shooter = game.turn;
+    const rival = 1 - shooter;
+    const aim = game.aims[rival];
+    const rivalCannon = model.clone();
+    rivalCannon.position.set(separation, terrain.heightAt(separation, 0), 0);
+    // It faces back up the range, turned by its own azimuth
+    rivalCannon.rotation.y = ((aim.azimuth + 180) * Math.PI) / 180;
+    rivalCannon.children[model.children.indexOf(cannonRef.current)].rotation.z =
+      (aim.angle * Math.PI) / 180;
+    // Each cannon carries its player's name and health
+    const labels = [
+      [shooter, 0],
+      [rival, separation],
+    ].map(([player, x]) => {
+      const label = createLabel(
+        `${PLAYERS[player].name} ${game.health[player]}/${MAX_HEALTH}`,
+        PLAYERS[player].color,
+      );
+      label.position.set(x, terrain.heightAt(x, 0) + mountHeight + 4, 0);
+      return label;
+    });
+    scene.add(rivalCannon, ...labels);
+    return () => {
+      scene.remove(rivalCannon, ...labels);
+      labels.forEach(disposeLabel);
+    };
+  }, [game, terrain, mountHeight, barrelLength]);
+  /**
+   * SECTION 18: TOGGLE SIDE PANEL (Mobile)
+   */
+  /**
+   * SECTION 19: UI RENDERING - FULLY RESPONSIVE
+   */
+  return (
+    <div className="w-full min-h-screen bg-gray-900 text-white flex flex-col">
+      {/* Main Content */}
+      <main className="flex-1 flex flex-col lg:flex-row overflow-hidden">
+        {/* 3D Canvas */}
+        <div className="relative flex-1  max-sm:h-[50vh] max-lg:h-auto max-md:flex max-md:jsutify-center max-md:items-center">
+          <canvas
+            ref={canvasRef}
+            className={`w-full h-full touch-none ${
+              (targetMode && placingTargets) || measuring
+                ? "cursor-crosshair"
+                : "cursor-grab active:cursor-grabbing"
+            }`}
+          />
+          {/* Camera Mode Buttons */}
+          <div className="absolute top-2 left-2 sm:top-4 sm:left-4 flex flex-wrap gap-1 sm:gap-2 max-w-xs">
+            {CAMERA_MODES.map((mode, i) => (
+              <button
+                key={mode}
+                onClick={() => setCameraPreset(mode)}
+                title={`Camera view (${i + 1})`}
+                className={`px-2 py-1 sm:px-3 rounded text-xs sm:text-sm transition-all ${
+                  cameraMode === mode
+                    ? "bg-blue-600 text-white"
+                    : "bg-black/70 text-gray-300 hover:bg-black/90"
+                }`}
+              >
+                {mode[0].toUpperCase() + mode.slice(1)}
+              </button>
+            ))}
+            <button
+              onClick={resetView}
+              className="px-2 py-1 sm:px-3 rounded text-xs sm:text-sm bg-black/70 text-gray-300 hover:bg-black/90 transition-all"
+              title="Reset view (R)"
+            >
+              ⟲
+            </button>
+            <select
+              value={pipView}
+              onChange={(e) => setPipView(e.target.value)}
+              className="px-1 py-1 rounded text-xs sm:text-sm bg-black/70 text-gray-300"
+              title="Picture-in-picture view"
+            >
+              <option value="off">Inset: off</option>
+              {CAMERA_MODES.filter((mode) => mode !== "free").map((mode) => (
+                <option key={mode} value={mode}>
+                  Inset: {mode}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Picture-in-picture frame; the view itself is drawn by the renderer */}
+          {pipView !== "off" && (
+            <div
+              className="absolute border border-white/60 rounded-sm pointer-events-none"
+              style={{
+                right: PIP_MARGIN.right,
+                bottom: PIP_MARGIN.bottom,
+                width: `${PIP_WIDTH * 100}%`,
+                aspectRatio: PIP_ASPECT,
+              }}
+            >
+              <span className="absolute top-0 left-0 bg-black/70 px-1 text-xs text-gray-300">
+                {pipView}
+              </span>
+            </div>
+          )}
+
+          {/* Path point under the pointer (inspect tool) */}
+          {measuring === "inspect" && hoverPoint && (
+            <div
+              className="absolute bg-black/80 px-2 py-1 rounded text-xs font-mono text-sky-300 pointer-events-none shadow-md"
+              style={{ left: hoverPoint.left + 12, top: hoverPoint.top + 12 }}
+            >
+              {pointReadout(hoverPoint.point, units).map(([name, value]) => (
+                <div key={name}>
+                  {name} = {value}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Artillery game turn HUD */}
+          {game && (
+            <div className="absolute bottom-16 sm:bottom-20 left-1/2 -translate-x-1/2 bg-black/70 rounded px-3 py-2 text-xs sm:text-sm text-center space-y-1 shadow-md">
+              <div
+                className="font-bold"
+                style={{
+                  color:
+                    PLAYERS[game.phase === "over" ? game.winner : game.turn]
+                      .color,
+                }}
+              >
+                {game.phase === "over"
+                  ? `${PLAYERS[game.winner].name} wins!`
+                  : `${PLAYERS[game.turn].name}'s turn`}
+              </div>
+              <div className="flex justify-center gap-3 font-mono">
+                {PLAYERS.map((player, i) => (
+                  <span key={player.name} style={{ color: player.color }}>
+                    {player.name}: {game.health[i]}
+                  </span>
+                ))}
+              </div>
+              <div className="font-mono text-gray-300">
+                Wind {units.withUnit(game.wind.speed, "speed", 1)} toward{" "}
+                {game.wind.heading}°
+              </div>
+              {game.last && (
+                <div className="text-gray-200">{shotReport(game, units)}</div>
+              )}
+              {game.phase === "result" && (
+                <button
+                  onClick={passTurn}
+                  className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 font-semibold"
+                >
+                  Pass to {PLAYERS[1 - game.turn].name} →
+                </button>
+              )}
+              {game.phase === "over" && (
+                <button
+                  onClick={() => beginTurn(rematch(game))}
+                  className="px-3 py-1 rounded bg-rose-600 hover:bg-rose-700 font-semibold"
+                >
+                  Rematch
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Recording Indicator */}
+          {recording && (
+            <div className="absolute top-12 right-2 sm:top-20 sm:right-4 bg-black/70 px-2 py-1 rounded text-xs font-bold text-rose-400 shadow-md">
+              ● REC
+            </div>
+          )}
+
+          {/* Firing Indicator */}
+          {isFiring && (
+            <div className="absolute top-2 right-2 sm:top-4 sm:right-4 bg-red-600/90 px-2 py-1 sm:px-4 sm:py-2 rounded animate-pulse shadow-md">
+              <div className="text-xs sm:text-sm font-bold">🔥 FIRING!</div>
+              <div className="hidden sm:block text-xs mt-1">
+                {activeFlights.length} in the air
+              </div>
+            </div>
+          )}
+
+          {/* Playback Controls */}
+          {(isFiring || (canReplay && !game)) && (
+            <div className="absolute bottom-4 left-2 right-32 sm:left-4 lg:right-4 bg-black/70 rounded px-2 py-1 sm:px-3 sm:py-2 flex items-center gap-2 text-xs sm:text-sm shadow-md">
+              {isFiring ? (
+                <>
+                  <button
+                    onClick={() => stepFrame(-1)}
+                    className="px-1 hover:text-blue-300"
+                    title="Step back one frame"
+                  >
+                    ⏮
+                  </button>
+                  <button
+                    onClick={togglePlayback}
+                    className="px-1 hover:text-blue-300"
+                    title={clockView.playing ? "Pause" : "Play"}
+                  >
+                    {clockView.playing ? "⏸" : "▶"}
+                  </button>
+                  <button
+                    onClick={() => stepFrame(1)}
+                    className="px-1 hover:text-blue-300"
+                    title="Step forward one frame"
+                  >
+                    ⏭
+                  </button>
+                  <input
+                    type="range"
+                    min="0"
+                    max={clockView.duration}
+                    step="0.001"
+                    value={clockView.time}
+                    onChange={(e) => scrubTo(Number(e.target.value))}
+                    className="flex-1 min-w-0"
+                  />
+                  <span className="font-mono whitespace-nowrap">
+                    {units.format(clockView.time, "time")} /{" "}
+                    {units.withUnit(clockView.duration, "time")}
+                  </span>
+                </>
+              ) : (
+                <button
+                  onClick={replayLastShot}
+                  className="px-2 py-0.5 rounded bg-blue-600 hover:bg-blue-700"
+                >
+                  ↻ Replay last volley
+                </button>
+              )}
+              <select
+                value={playbackSpeed}
+                onChange={(e) => changePlaybackSpeed(Number(e.target.value))}
+                className="ml-auto bg-gray-700 rounded px-1"
+                title="Playback speed"
+              >
+                {PLAYBACK_SPEEDS.map((speed) => (
+                  <option key={speed} value={speed}>
+                    {speed}×
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Mobile Controls Button */}
+          <button
+            onClick={() => setShowPanel(!showPanel)}
+            className="lg:hidden absolute bottom-4 right-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-full shadow-md font-semibold text-sm transition-all"
+          >
+            {showPanel ? "✕ Close" : "⚙️ Controls"}
+          </button>
+        </div>
+
+        {/* Side Panel */}
+        <aside
+          className={`${
+            showPanel ? "translate-y-0" : "translate-y-full"
+          } lg:translate-y-0 fixed lg:relative inset-x-0 bottom-0 lg:bottom-auto lg:w-80 bg-gray-800 transition-transform duration-300 p-4 sm:p-6 overflow-y-auto z-50 lg:z-auto rounded-t-2xl lg:rounded-none shadow-2xl lg:shadow-none`}
+        >
+          {/* Mobile close button */}
+          <button
+            onClick={() => setShowPanel(false)}
+            className="lg:hidden absolute top-2 right-2 text-gray-400 hover:text-white text-2xl px-2"
+          >
+            ✕
+          </button>
+          <h2 className="text-lg sm:text-xl font-bold mb-4">Physics Data</h2>
+          <LessonPanel
+            lesson={lesson}
+            startLocked={isFiring || game !== null}
+            onStart={startLesson}
+            setup={{
+              angle: cannonAngle,
+              v0: initialVelocity,
+              height: launch.y0 - baseHeight,
+              gravity,
+            }}
+            onPredictionChange={updatePrediction}
+            onHint={showHint}
+            fireReady={predictionsReady && !isFiring}
+            onFire={fireLessonShot}
+            onNext={nextChallenge}
+            onExit={exitLesson}
+            onShowEquation={showEquation}
+            units={units}
+          />
+          <GamePanel
+            game={game}
+            locked={isFiring}
+            onStart={startGame}
+            onQuit={quitGame}
+            units={units}
+          />
+          {/* Cannon Parameters: free play can re-aim with shots still in the
+              air; a pending prediction or a game between shots locks them */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <h3 className="font-semibold mb-3 text-blue-400 text-sm sm:text-base">
+              Cannon Parameters
+            </h3>
+            <div className="space-y-4">
+              <div>
+                <div className="flex justify-between text-sm sm:text-base mb-2">
+                  <span className="text-gray-300">Angle:</span>
+                  <span className="font-mono">
+                    {units.format(cannonAngle, null, 1)}°
+                  </span>
+                </div>
+                <div className="w-full bg-gray-600 rounded h-2 mb-2">
+                  <div
+                    className="bg-blue-500 h-2 rounded transition-all"
+                    style={{ width: `${(cannonAngle / 90) * 100}%` }}
+                  />
+                </div>
+                <input
+                  type="range"
+                  min="15"
+                  max="90"
                   step="0.1"
                   value={cannonAngle}
                   onChange={(e) => setCannonAngle(Number(e.target.value))}
                   className="w-full"
-                  disabled={isFiring}
+                  disabled={aimLocked}
                 />
                 <input
                   type="number"
@@ -579,100 +3208,1260 @@ const CannonSimulator = () => {
                     }
                   }}
                   className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
-                  disabled={isFiring}
                   placeholder="e.g., 25.1"
+                  disabled={aimLocked}
                 />
               </div>
               <div>
                 <div className="flex justify-between text-sm sm:text-base mb-2">
                   <span className="text-gray-300">Velocity:</span>
-                  <span className="font-mono">{initialVelocity} m/s</span>
+                  <span className="font-mono">
+                    {units.withUnit(initialVelocity, "speed", 1)}
+                  </span>
                 </div>
                 <input
                   type="range"
-                  min="10"
-                  max="100"
+                  min={units.input(10, "speed")}
+                  max={units.input(100, "speed")}
                   step="0.1"
-                  value={initialVelocity}
-                  onChange={(e) => setInitialVelocity(Number(e.target.value))}
+                  value={units.input(initialVelocity, "speed")}
+                  onChange={(e) => {
+                    const val = units.parse(e.target.value, "speed", 10, 100);
+                    if (val !== null) setInitialVelocity(val);
+                  }}
                   className="w-full"
-                  disabled={isFiring}
+                  disabled={aimLocked}
                 />
                 <input
                   type="number"
-                  min="10"
-                  max="100"
+                  min={units.input(10, "speed")}
+                  max={units.input(100, "speed")}
                   step="0.1"
-                  value={initialVelocity}
+                  value={units.input(initialVelocity, "speed")}
                   onChange={(e) => {
-                    const val = Number(e.target.value);
-                    if (!isNaN(val) && val >= 10 && val <= 100) {
+                    const val = units.parse(e.target.value, "speed", 10, 100);
+                    if (val !== null) {
                       setInitialVelocity(val);
                     }
                   }}
                   className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
-                  disabled={isFiring}
                   placeholder="e.g., 80.1"
+                  disabled={aimLocked}
+                />
+              </div>
+              <div>
+                <div className="flex justify-between text-sm sm:text-base mb-2">
+                  <span className="text-gray-300">Azimuth:</span>
+                  <span className="font-mono">
+                    {units.format(cannonAzimuth, null, 1)}°
+                  </span>
+                </div>
+                <input
+                  type="range"
+                  min="-90"
+                  max="90"
+                  step="0.1"
+                  value={cannonAzimuth}
+                  onChange={(e) => setCannonAzimuth(Number(e.target.value))}
+                  className="w-full"
+                  disabled={aimLocked}
                 />
+                <div className="flex justify-between text-xs text-gray-400">
+                  <span>← right</span>
+                  <span>left →</span>
+                </div>
               </div>
             </div>
           </div>{" "}
+          {/* Projectile */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <h3 className="font-semibold mb-3 text-blue-400 text-sm sm:text-base">
+              Projectile
+            </h3>
+            <div className="grid grid-cols-3 gap-1 mb-2">
+              {[...PROJECTILE_PRESETS, { id: "custom", label: "Custom" }].map(
+                (preset) => (
+                  <button
+                    key={preset.id}
+                    onClick={() =>
+                      setProjectile(
+                        preset.id === "custom"
+                          ? createProjectile("custom", projectile)
+                          : createProjectile(preset.id),
+                      )
+                    }
+                    disabled={isFiring || concealed}
+                    className={`px-1 py-1 rounded text-xs ${
+                      projectile.preset === preset.id
+                        ? "bg-blue-600"
+                        : "bg-gray-600 hover:bg-gray-500"
+                    }`}
+                  >
+                    {preset.label}
+                  </button>
+                ),
+              )}
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-xs sm:text-sm">
+              {[
+                ["diameter", "Diameter", "diameter", "0.001", 0.001, 2],
+                ["density", "Density", "density", "any", 1, 25000],
+                ["dragCoefficient", "C_d", null, "0.01", 0, 2],
+              ].map(([key, label, quantity, step, min, max]) => (
+                <label key={key} className="flex flex-col text-gray-300">
+                  {quantity ? `${label} (${units.unit(quantity)})` : label}
+                  <input
+                    type="number"
+                    min={units.input(min, quantity)}
+                    max={units.input(max, quantity)}
+                    step={step}
+                    value={units.input(projectile[key], quantity)}
+                    onChange={(e) => {
+                      const val = units.parse(
+                        e.target.value,
+                        quantity,
+                        min,
+                        max,
+                      );
+                      if (val !== null) {
+                        setProjectile(
+                          createProjectile("custom", {
+                            ...projectile,
+                            [key]: val,
+                          }),
+                        );
+                      }
+                    }}
+                    className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                    disabled={isFiring || concealed}
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="space-y-1 mt-3 text-xs">
+              {projectile.preset !== "custom" && (
+                <div className="flex justify-between">
+                  <span className="text-gray-300">Material:</span>
+                  <span>
+                    {
+                      PROJECTILE_PRESETS.find((p) => p.id === projectile.preset)
+                        .material
+                    }
+                  </span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-gray-300">Mass:</span>
+                <span className="font-mono">
+                  {units.withUnit(projectile.mass, "mass", 3)}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-300">Muzzle energy:</span>
+                <span className="font-mono">
+                  {units.withUnit(
+                    kineticEnergy(projectile.mass, initialVelocity),
+                    "energy",
+                    1,
+                  )}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-300">Momentum:</span>
+                <span className="font-mono">
+                  {units.withUnit(
+                    projectile.mass * initialVelocity,
+                    "momentum",
+                  )}
+                </span>
+              </div>
+            </div>
+          </div>
+          {/* Gravity & Launch Platform */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <h3 className="font-semibold mb-3 text-blue-400 text-sm sm:text-base">
+              Gravity &amp; Platform
+            </h3>
+            <div className="grid grid-cols-5 gap-1 mb-2">
+              {[...GRAVITY_PRESETS, { id: "custom", label: "Custom" }].map(
+                (preset) => (
+                  <button
+                    key={preset.id}
+                    onClick={() => {
+                      setGravityPreset(preset.id);
+                      if (preset.g) setGravity(preset.g);
+                    }}
+                    disabled={isFiring || concealed}
+                    className={`px-1 py-1 rounded text-xs ${
+                      gravityPreset === preset.id
+                        ? "bg-blue-600"
+                        : "bg-gray-600 hover:bg-gray-500"
+                    }`}
+                  >
+                    {preset.label}
+                  </button>
+                ),
+              )}
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-xs sm:text-sm">
+              <label className="flex flex-col text-gray-300">
+                g ({units.unit("acceleration")})
+                <input
+                  type="number"
+                  min={units.input(0.1, "acceleration")}
+                  max={units.input(100, "acceleration")}
+                  step="0.01"
+                  value={units.input(gravity, "acceleration")}
+                  onChange={(e) => {
+                    const val = units.parse(
+                      e.target.value,
+                      "acceleration",
+                      0.1,
+                      100,
+                    );
+                    if (val !== null) {
+                      setGravity(val);
+                      setGravityPreset("custom");
+                    }
+                  }}
+                  className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  disabled={isFiring || concealed}
+                />
+              </label>
+              <label className="flex flex-col text-gray-300">
+                Mount ({units.unit("length")})
+                <input
+                  type="number"
+                  min="0"
+                  max={units.input(50, "length")}
+                  step="0.1"
+                  value={units.input(mountHeight, "length")}
+                  onChange={(e) => {
+                    const val = units.parse(e.target.value, "length", 0, 50);
+                    if (val !== null) {
+                      setMountHeight(val);
+                    }
+                  }}
+                  className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  disabled={isFiring || concealed}
+                />
+              </label>
+              <label className="flex flex-col text-gray-300">
+                Barrel ({units.unit("length")})
+                <input
+                  type="number"
+                  min={units.input(0.5, "length")}
+                  max={units.input(10, "length")}
+                  step="0.1"
+                  value={units.input(barrelLength, "length")}
+                  onChange={(e) => {
+                    const val = units.parse(e.target.value, "length", 0.5, 10);
+                    if (val !== null) {
+                      setBarrelLength(val);
+                    }
+                  }}
+                  className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  disabled={isFiring || concealed}
+                />
+              </label>
+            </div>
+          </div>
+          {/* Air Drag */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <label className="flex items-center justify-between font-semibold text-blue-400 text-sm sm:text-base">
+              Air Drag
+              <input
+                type="checkbox"
+                checked={dragEnabled}
+                onChange={(e) => setDragEnabled(e.target.checked)}
+                disabled={isFiring || concealed}
+              />
+            </label>
+            {dragEnabled && (
+              <div className="grid grid-cols-2 gap-2 mt-3 text-xs sm:text-sm">
+                <label className="flex flex-col text-gray-300">
+                  Air density ρ ({units.unit("density")})
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.001"
+                    value={units.input(airDensity, "density")}
+                    onChange={(e) => {
+                      const val = units.parse(e.target.value, "density", 0);
+                      if (val !== null) {
+                        setAirDensity(val);
+                      }
+                    }}
+                    className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                    disabled={isFiring || concealed}
+                  />
+                </label>
+                <div className="flex flex-col justify-end text-gray-400 text-xs">
+                  <span>C_d {dragModel.dragCoefficient}</span>
+                  <span>A {units.withUnit(dragModel.area, "area", 5)}</span>
+                </div>
+              </div>
+            )}
+          </div>
+          {/* Impact */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <label className="flex items-center justify-between font-semibold text-blue-400 text-sm sm:text-base">
+              Bounce &amp; Roll
+              <input
+                type="checkbox"
+                checked={impactEnabled}
+                onChange={(e) => setImpactEnabled(e.target.checked)}
+                disabled={isFiring || concealed}
+              />
+            </label>
+            {impactEnabled && (
+              <div className="grid grid-cols-3 gap-2 mt-3 text-xs sm:text-sm">
+                {[
+                  ["restitution", "Restitution e"],
+                  ["friction", "Friction μ"],
+                  ["rollingResistance", "Rolling c_rr"],
+                ].map(([key, label]) => (
+                  <label key={key} className="flex flex-col text-gray-300">
+                    {label}
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      value={impactParams[key]}
+                      onChange={(e) => {
+                        const val = Number(e.target.value);
+                        if (!isNaN(val) && val >= 0 && val <= 1) {
+                          setImpactParams((prev) => ({ ...prev, [key]: val }));
+                        }
+                      }}
+                      className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                      disabled={isFiring || concealed}
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+          {/* Wind */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <h3 className="font-semibold mb-3 text-blue-400 text-sm sm:text-base">
+              Wind
+            </h3>
+            <div className="space-y-3 text-sm">
+              <div>
+                <div className="flex justify-between mb-1">
+                  <span className="text-gray-300">Speed:</span>
+                  <span className="font-mono">
+                    {units.withUnit(windSpeed, "speed", 1)}
+                  </span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max={units.input(30, "speed")}
+                  step="0.5"
+                  value={units.input(windSpeed, "speed")}
+                  onChange={(e) => {
+                    const val = units.parse(e.target.value, "speed", 0, 30);
+                    if (val !== null) setWindSpeed(val);
+                  }}
+                  className="w-full"
+                  disabled={isFiring || concealed}
+                />
+              </div>
+              <div>
+                <div className="flex justify-between mb-1">
+                  <span className="text-gray-300">Blowing toward:</span>
+                  <span className="font-mono">{windHeading.toFixed(0)}°</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="359"
+                  step="1"
+                  value={windHeading}
+                  onChange={(e) => setWindHeading(Number(e.target.value))}
+                  className="w-full"
+                  disabled={isFiring || concealed}
+                />
+                <div className="text-xs text-gray-400">
+                  0° downrange (+x), 90° left (-z)
+                </div>
+              </div>
+              {windSpeed > 0 && !dragEnabled && (
+                <p className="text-xs text-yellow-400">
+                  Wind only acts through air drag. Enable Air Drag to see it
+                  push the projectile.
+                </p>
+              )}
+            </div>
+          </div>
+          {/* Target Solver */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <h3 className="font-semibold mb-3 text-yellow-400 text-sm sm:text-base">
+              Target Solver
+            </h3>
+            <div className="grid grid-cols-2 gap-2 text-xs sm:text-sm">
+              {[
+                ["distance", "Distance X"],
+                ["height", "Height above ground"],
+              ].map(([key, label]) => (
+                <label key={key} className="flex flex-col text-gray-300">
+                  {label} ({units.unit("length")})
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={units.input(aimTarget[key], "length")}
+                    onChange={(e) => {
+                      const val = units.parse(e.target.value, "length", 0);
+                      if (val !== null) {
+                        setAimTarget((prev) => ({ ...prev, [key]: val }));
+                        setAimSolution(null);
+                      }
+                    }}
+                    className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                    disabled={isFiring}
+                  />
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={solveAim}
+              disabled={isFiring || concealed}
+              className="w-full mt-3 py-1 rounded bg-yellow-600 hover:bg-yellow-700 disabled:bg-gray-600 text-sm font-semibold"
+            >
+              Solve
+            </button>
+            {concealed && (
+              <p className="mt-2 text-xs text-gray-400">
+                {game
+                  ? "Not available during a game."
+                  : "Available once the lesson answer is revealed."}
+              </p>
+            )}
+            {aimSolution && !concealed && (
+              <div className="mt-3 space-y-2 text-xs sm:text-sm">
+                {aimSolution.low === null ? (
+                  <p className="text-red-400">
+                    Out of reach at {units.withUnit(aimSolution.v0, "speed", 1)}
+                    : no elevation hits this point.
+                  </p>
+                ) : (
+                  [
+                    ["Low angle", aimSolution.low],
+                    ["High angle", aimSolution.high],
+                  ].map(([label, angle]) => (
+                    <div key={label} className="flex items-center gap-2">
+                      <span className="text-gray-300 flex-1">{label}:</span>
+                      {angle === null ? (
+                        <span className="text-gray-500">none</span>
+                      ) : (
+                        <>
+                          <span className="font-mono">
+                            {units.format(angle)}°
+                          </span>
+                          <button
+                            onClick={() =>
+                              setCannonAngle(Number(angle.toFixed(2)))
+                            }
+                            disabled={aimLocked || angle < 15}
+                            title={
+                              angle < 15 ? "Below the 15° slider minimum" : ""
+                            }
+                            className="px-2 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-xs"
+                          >
+                            Apply
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  ))
+                )}
+                <div className="flex items-center gap-2">
+                  <span className="text-gray-300 flex-1">
+                    Speed at {units.format(aimSolution.angle, null, 1)}°:
+                  </span>
+                  {aimSolution.velocity === null ? (
+                    <span className="text-red-400">unreachable</span>
+                  ) : (
+                    <>
+                      <span className="font-mono">
+                        {units.withUnit(aimSolution.velocity, "speed")}
+                      </span>
+                      <button
+                        onClick={() =>
+                          setInitialVelocity(
+                            Number(aimSolution.velocity.toFixed(2)),
+                          )
+                        }
+                        disabled={
+                          aimLocked ||
+                          aimSolution.velocity < 10 ||
+                          aimSolution.velocity > 100
+                        }
+                        title={
+                          aimSolution.velocity < 10 ||
+                          aimSolution.velocity > 100
+                            ? `Outside the ${units.format(10, "speed", 0)}–${units.withUnit(100, "speed", 0)} slider range`
+                            : ""
+                        }
+                        className="px-2 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-xs"
+                      >
+                        Apply
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+          {/* Terrain & Obstacles */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <h3 className="font-semibold mb-3 text-emerald-400 text-sm sm:text-base">
+              Terrain &amp; Obstacles
+            </h3>
+            <div className="space-y-3 text-xs sm:text-sm">
+              <div className="flex flex-wrap gap-1">
+                {TERRAIN_TYPES.map((type) => (
+                  <button
+                    key={type}
+                    onClick={() => changeTerrain({ ...terrainConfig, type })}
+                    disabled={isFiring || concealed}
+                    className={`px-2 py-1 rounded transition-all ${
+                      terrainConfig.type === type
+                        ? "bg-emerald-600 text-white"
+                        : "bg-gray-600 text-gray-300 hover:bg-gray-500"
+                    }`}
+                  >
+                    {type[0].toUpperCase() + type.slice(1)}
+                  </button>
+                ))}
+              </div>
+              {terrainConfig.type === "random" && (
+                <label className="flex items-center gap-2 text-gray-300">
+                  Seed
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={terrainConfig.seed}
+                    onChange={(e) => {
+                      const val = Math.floor(Number(e.target.value));
+                      if (!isNaN(val) && val >= 1) {
+                        changeTerrain({ ...terrainConfig, seed: val });
+                      }
+                    }}
+                    className="flex-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                    disabled={isFiring || concealed}
+                  />
+                </label>
+              )}
+              <div className="grid grid-cols-3 gap-1">
+                {["box", "wall"].map((type) => (
+                  <button
+                    key={type}
+                    onClick={() =>
+                      setObstacles((prev) => [
+                        ...prev,
+                        randomObstacle(type, terrain),
+                      ])
+                    }
+                    disabled={isFiring || concealed}
+                    className="py-1 rounded bg-gray-600 hover:bg-gray-500"
+                  >
+                    + {type[0].toUpperCase() + type.slice(1)}
+                  </button>
+                ))}
+                <button
+                  onClick={() => setObstacles([])}
+                  disabled={isFiring || concealed}
+                  className="py-1 rounded bg-gray-600 hover:bg-gray-500"
+                >
+                  Clear
+                </button>
+              </div>
+            </div>
+          </div>
+          {/* Target Practice */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+            <label className="flex items-center justify-between font-semibold text-orange-400 text-sm sm:text-base">
+              Target Practice
+              <input
+                type="checkbox"
+                checked={targetMode}
+                onChange={(e) => {
+                  setTargetMode(e.target.checked);
+                  setPlacingTargets(false);
+                }}
+                disabled={isFiring || game !== null}
+              />
+            </label>
+            {targetMode && (
+              <div className="mt-3 space-y-3 text-xs sm:text-sm">
+                <div className="flex gap-1">
+                  {TARGET_TYPES.map((type) => (
+                    <button
+                      key={type}
+                      onClick={() => setTargetType(type)}
+                      className={`flex-1 py-1 rounded transition-all ${
+                        targetType === type
+                          ? "bg-orange-600 text-white"
+                          : "bg-gray-600 text-gray-300 hover:bg-gray-500"
+                      }`}
+                    >
+                      {type[0].toUpperCase() + type.slice(1)}
+                    </button>
+                  ))}
+                </div>
+                <div className="grid grid-cols-3 gap-1">
+                  <button
+                    onClick={addRandomTarget}
+                    disabled={isFiring}
+                    className="py-1 rounded bg-gray-600 hover:bg-gray-500"
+                  >
+                    Random
+                  </button>
+                  <button
+                    onClick={() => setPlacingTargets(!placingTargets)}
+                    disabled={isFiring}
+                    className={`py-1 rounded ${
+                      placingTargets
+                        ? "bg-orange-600"
+                        : "bg-gray-600 hover:bg-gray-500"
+                    }`}
+                  >
+                    {placingTargets ? "Placing…" : "Click ground"}
+                  </button>
+                  <button
+                    onClick={() => setTargets([])}
+                    disabled={isFiring}
+                    className="py-1 rounded bg-gray-600 hover:bg-gray-500"
+                  >
+                    Clear
+                  </button>
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                  <label className="flex flex-col text-gray-300">
+                    Motion
+                    <select
+                      value={targetMotion.path}
+                      onChange={(e) =>
+                        setTargetMotion((prev) => ({
+                          ...prev,
+                          path: e.target.value,
+                        }))
+                      }
+                      className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                    >
+                      {Object.entries(MOTION_PATHS).map(([key, label]) => (
+                        <option key={key} value={key}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {targetMotion.path !== "static" &&
+                    [
+                      ["speed", "Speed", "speed", 0.1, 50],
+                      ["span", "Span", "length", 1, 200],
+                    ].map(([key, label, quantity, min, max]) => (
+                      <label key={key} className="flex flex-col text-gray-300">
+                        {label} ({units.unit(quantity)})
+                        <input
+                          type="number"
+                          min={units.input(min, quantity)}
+                          max={units.input(max, quantity)}
+                          step="0.1"
+                          value={units.input(targetMotion[key], quantity)}
+                          onChange={(e) => {
+                            const val = units.parse(
+                              e.target.value,
+                              quantity,
+                              min,
+                              max,
+                            );
+                            if (val !== null) {
+                              setTargetMotion((prev) => ({
+                                ...prev,
+                                [key]: val,
+                              }));
+                            }
+                          }}
+                          className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                    ))}
+                </div>
+                {leadTarget && (
+                  <div className="border-t border-gray-600 pt-2 space-y-2">
+                    <label className="flex items-center gap-2 text-gray-300">
+                      Lead
+                      <select
+                        value={leadTarget.id}
+                        onChange={(e) =>
+                          setLeadTargetId(Number(e.target.value))
+                        }
+                        className="flex-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                      >
+                        {movingTargets.map((target) => (
+                          <option key={target.id} value={target.id}>
+                            #{target.id} {target.type},{" "}
+                            {MOTION_PATHS[target.motion.path].toLowerCase()}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <div className="grid grid-cols-2 gap-1">
+                      <button
+                        onClick={fireLead}
+                        disabled={concealed}
+                        title={`Aim ahead of the target at ${units.withUnit(initialVelocity, "speed", 1)} and fire`}
+                        className="py-1 rounded bg-orange-600 hover:bg-orange-700 disabled:bg-gray-600"
+                      >
+                        Lead &amp; fire
+                      </button>
+                      <button
+                        onClick={fireOnTime}
+                        disabled={concealed}
+                        title="Keep the current aim and fire when the target will meet the shot"
+                        className="py-1 rounded bg-gray-600 hover:bg-gray-500 disabled:bg-gray-600"
+                      >
+                        Fire on time
+                      </button>
+                    </div>
+                    {shownLead?.kind === "lead" &&
+                      (!shownLead.reachable ? (
+                        <p className="text-red-400">
+                          Out of reach at{" "}
+                          {units.withUnit(shownLead.v0, "speed", 1)}: no
+                          elevation from {LEAD_MIN_ANGLE}° meets the target.
+                        </p>
+                      ) : !shownLead.inTraverse ? (
+                        <p className="text-red-400">
+                          The intercept is outside the ±{LEAD_MAX_AZIMUTH}°
+                          traverse.
+                        </p>
+                      ) : (
+                        <p className="text-gray-300">
+                          Lead: {units.format(shownLead.angle)}° elevation,{" "}
+                          {units.format(shownLead.azimuth, null, 1)}° azimuth,
+                          intercept after{" "}
+                          {units.withUnit(shownLead.tof, "time")}.{" "}
+                          {leadStatus(shownLead)}
+                        </p>
+                      ))}
+                    {shownLead?.kind === "time" &&
+                      (shownLead.hit ? (
+                        <p className="text-gray-300">
+                          Fire {units.withUnit(shownLead.delay, "time")} after
+                          solving, intercept after{" "}
+                          {units.withUnit(shownLead.tof, "time")}.{" "}
+                          {leadStatus(shownLead)}
+                        </p>
+                      ) : (
+                        <p className="text-red-400">
+                          No firing time hits at the current aim; the closest
+                          pass is {units.withUnit(shownLead.miss, "length")} off
+                          centre.
+                        </p>
+                      ))}
+                  </div>
+                )}
+                <div className="border-t border-gray-600 pt-2 space-y-1">
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">Targets:</span>
+                    <span className="font-mono">{targets.length}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">Shots / Hits:</span>
+                    <span className="font-mono">
+                      {session.shots} / {session.hits}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">Score:</span>
+                    <span className="font-mono">{session.score}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">Best accuracy:</span>
+                    <span className="font-mono">
+                      {session.bestMiss === null
+                        ? "–"
+                        : units.withUnit(session.bestMiss, "length")}
+                    </span>
+                  </div>
+                  {session.last && (
+                    <div
+                      className={
+                        session.last.hit ? "text-green-400" : "text-red-400"
+                      }
+                    >
+                      Last shot: {session.last.hit ? "hit" : "miss"} on{" "}
+                      {session.last.type},{" "}
+                      {units.withUnit(session.last.miss, "length")} off centre,
+                      +{session.last.score}
+                    </div>
+                  )}
+                  <button
+                    onClick={resetSession}
+                    className="w-full mt-1 py-1 rounded bg-gray-600 hover:bg-gray-500"
+                  >
+                    Reset session
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+          {!concealed && (
+            <SweepPanel
+              launch={{
+                angle: cannonAngle,
+                v0: initialVelocity,
+                mountHeight,
+                barrelLength,
+                gravity,
+              }}
+              onSelect={selectSweepValue}
+              family={familySpan}
+              onFamilyChange={setFamilySpan}
+              units={units}
+            />
+          )}
+          {!concealed && (
+            <DispersionPanel
+              dispersion={dispersion}
+              stale={
+                dispersion !== null && dispersion.trajectory !== trajectory
+              }
+              offset={dispersionOffset}
+              locked={isFiring}
+              onRun={runDispersion}
+              onClear={() => setDispersion(null)}
+              units={units}
+            />
+          )}
           {/* Fire Button */}
           <button
             onClick={fireProjectile}
-            disabled={isFiring}
+            disabled={!canFire || inAirCount >= maxInAir}
             className={`w-full py-2 sm:py-3 rounded font-bold text-base sm:text-lg mb-4 transition-all ${
-              isFiring
+              !canFire || inAirCount >= maxInAir
                 ? "bg-gray-600 text-gray-400 cursor-not-allowed"
                 : "bg-red-600 hover:bg-red-700 text-white"
             }`}
           >
-            {isFiring ? "Firing..." : "🔥 FIRE CANNON"}
+            {predicting
+              ? "Predict first (Lesson card)"
+              : game
+                ? canFire
+                  ? `🔥 FIRE (${PLAYERS[game.turn].name})`
+                  : "Shot fired this turn"
+                : isFiring
+                  ? `🔥 FIRE (${inAirCount}/${maxInAir} in air)`
+                  : "🔥 FIRE CANNON"}
           </button>
-          {/* Calculated Values */}
+          {/* Rapid Fire & Salvo */}
           <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
-            <h3 className="font-semibold mb-3 text-green-400 text-sm sm:text-base">
-              Calculated Values
+            <h3 className="font-semibold mb-3 text-red-400 text-sm sm:text-base">
+              Rapid Fire &amp; Salvo
             </h3>
             <div className="space-y-2 text-xs sm:text-sm">
-              <div className="flex justify-between">
-                <span className="text-gray-300">Range:</span>
-                <span className="font-mono">{projectileData.range} m</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-gray-300">Max Height:</span>
-                <span className="font-mono">{projectileData.maxHeight} m</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-gray-300">Flight Time:</span>
-                <span className="font-mono">
-                  {projectileData.timeOfFlight} s
-                </span>
+              <label className="flex items-center justify-between text-gray-300">
+                Max in the air
+                <input
+                  type="number"
+                  min="1"
+                  max="20"
+                  step="1"
+                  value={maxInAir}
+                  onChange={(e) => {
+                    const val = Number(e.target.value);
+                    if (Number.isInteger(val) && val >= 1 && val <= 20) {
+                      setMaxInAir(val);
+                    }
+                  }}
+                  className="w-20 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                />
+              </label>
+              <div className="grid grid-cols-3 gap-2">
+                <label className="text-gray-300">
+                  Shots
+                  <input
+                    type="number"
+                    min="2"
+                    max="10"
+                    step="1"
+                    value={salvoConfig.count}
+                    onChange={(e) => {
+                      const val = Number(e.target.value);
+                      if (Number.isInteger(val) && val >= 2 && val <= 10) {
+                        setSalvoConfig((prev) => ({ ...prev, count: val }));
+                      }
+                    }}
+                    className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  />
+                </label>
+                <label className="text-gray-300">
+                  Vary
+                  <select
+                    value={salvoConfig.parameter}
+                    onChange={(e) =>
+                      setSalvoConfig((prev) => ({
+                        ...prev,
+                        parameter: e.target.value,
+                      }))
+                    }
+                    className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  >
+                    {Object.entries(SWEEP_PARAMETERS).map(([key, param]) => (
+                      <option key={key} value={key}>
+                        {param.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-gray-300">
+                  Step ({salvoQuantity ? units.unit(salvoQuantity) : "°"})
+                  <input
+                    type="number"
+                    min={units.input(0.1, salvoQuantity)}
+                    max={units.input(20, salvoQuantity)}
+                    step="0.1"
+                    value={units.input(salvoConfig.step, salvoQuantity)}
+                    onChange={(e) => {
+                      const val = units.parse(
+                        e.target.value,
+                        salvoQuantity,
+                        0.1,
+                        20,
+                      );
+                      if (val !== null) {
+                        setSalvoConfig((prev) => ({ ...prev, step: val }));
+                      }
+                    }}
+                    className="w-full mt-1 p-1 bg-gray-600 border border-gray-500 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  />
+                </label>
               </div>
-
-              {isFiring && (
-                <div className="border-t border-gray-600 pt-2 mt-2 space-y-1 text-yellow-400">
+              <button
+                onClick={fireSalvo}
+                disabled={concealed || inAirCount >= maxInAir}
+                className="w-full py-1.5 rounded bg-red-700 hover:bg-red-800 disabled:bg-gray-600 disabled:text-gray-400 font-semibold"
+              >
+                Fire salvo of {salvoConfig.count}
+              </button>
+              <p className="text-xs text-gray-400">
+                Shots are spread evenly around the current{" "}
+                {SWEEP_PARAMETERS[salvoConfig.parameter].label.toLowerCase()}.
+                The cannon can be re-aimed and fired again while earlier shots
+                are still flying.
+              </p>
+            </div>
+          </div>
+          {/* Overlays */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4 space-y-2 text-xs sm:text-sm">
+            <label className="flex items-center justify-between text-gray-300">
+              Velocity &amp; gravity vectors
+              <input
+                type="checkbox"
+                checked={showVectors}
+                onChange={(e) => setShowVectors(e.target.checked)}
+              />
+            </label>
+            <label className="flex items-center justify-between text-gray-300">
+              Apex &amp; landing markers
+              <input
+                type="checkbox"
+                checked={showFlightMarkers}
+                onChange={(e) => setShowFlightMarkers(e.target.checked)}
+              />
+            </label>
+          </div>
+          {!concealed && (
+            <>
+              {/* Calculated Values */}
+              <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+                <h3 className="font-semibold mb-3 text-green-400 text-sm sm:text-base">
+                  Calculated Values
+                </h3>
+                <div className="space-y-2 text-xs sm:text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">Range:</span>
+                    <span className="font-mono">
+                      {units.withUnit(projectileData.range, "length")}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">Max Height:</span>
+                    <span className="font-mono">
+                      {units.withUnit(projectileData.maxHeight, "length")}
+                    </span>
+                  </div>
                   <div className="flex justify-between">
-                    <span>Time:</span>
+                    <span className="text-gray-300">Flight Time:</span>
                     <span className="font-mono">
-                      {projectileData.currentTime} s
+                      {units.withUnit(projectileData.timeOfFlight, "time")}
                     </span>
                   </div>
                   <div className="flex justify-between">
-                    <span>X:</span>
+                    <span className="text-gray-300">Stopped by:</span>
                     <span className="font-mono">
-                      {projectileData.position.x} m
+                      {projectileData.stoppedBy}
                     </span>
                   </div>
                   <div className="flex justify-between">
-                    <span>Y:</span>
+                    <span className="text-gray-300">Drift (left +):</span>
                     <span className="font-mono">
-                      {projectileData.position.y} m
+                      {units.withUnit(projectileData.drift, "length")}
                     </span>
                   </div>
+                  {projectileData.bounce && (
+                    <div className="border-t border-gray-600 pt-2 mt-2 space-y-1 text-amber-300">
+                      <div className="flex justify-between">
+                        <span>Total travel:</span>
+                        <span className="font-mono">
+                          {units.withUnit(
+                            projectileData.bounce.totalTravel,
+                            "length",
+                          )}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Bounces:</span>
+                        <span className="font-mono">
+                          {projectileData.bounce.count}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Rest:</span>
+                        <span className="font-mono">
+                          (
+                          {units.format(projectileData.bounce.rest.x, "length")}
+                          ,{" "}
+                          {units.format(projectileData.bounce.rest.y, "length")}
+                          ,{" "}
+                          {units.format(projectileData.bounce.rest.z, "length")}
+                          ) {units.unit("length")}
+                        </span>
+                      </div>
+                    </div>
+                  )}
+                  {projectileData.energy && (
+                    <div className="border-t border-gray-600 pt-2 mt-2 space-y-1">
+                      <div className="flex justify-between">
+                        <span className="text-gray-300">Impact speed:</span>
+                        <span className="font-mono">
+                          {units.withUnit(
+                            projectileData.energy.impactSpeed,
+                            "speed",
+                          )}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-300">Impact angle:</span>
+                        <span className="font-mono">
+                          {units.format(
+                            projectileData.energy.impactAngle,
+                            null,
+                            1,
+                          )}
+                          ° below horizontal
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-300">
+                          KE launch / impact:
+                        </span>
+                        <span className="font-mono">
+                          {units.format(
+                            projectileData.energy.launchEnergy,
+                            "energy",
+                            1,
+                          )}{" "}
+                          /{" "}
+                          {units.withUnit(
+                            projectileData.energy.impactEnergy,
+                            "energy",
+                            1,
+                          )}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-300">
+                          p launch / impact:
+                        </span>
+                        <span className="font-mono">
+                          {units.format(
+                            projectileData.energy.launchMomentum,
+                            "momentum",
+                          )}{" "}
+                          /{" "}
+                          {units.withUnit(
+                            projectileData.energy.impactMomentum,
+                            "momentum",
+                          )}
+                        </span>
+                      </div>
+                    </div>
+                  )}
+                  {projectileData.vacuum && (
+                    <div className="border-t border-gray-600 pt-2 mt-2 space-y-1 text-sky-300">
+                      <div className="text-gray-400">In vacuum:</div>
+                      <div className="flex justify-between">
+                        <span>Range:</span>
+                        <span className="font-mono">
+                          {units.withUnit(
+                            projectileData.vacuum.range,
+                            "length",
+                          )}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Max Height:</span>
+                        <span className="font-mono">
+                          {units.withUnit(
+                            projectileData.vacuum.maxHeight,
+                            "length",
+                          )}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Flight Time:</span>
+                        <span className="font-mono">
+                          {units.withUnit(
+                            projectileData.vacuum.timeOfFlight,
+                            "time",
+                          )}
+                        </span>
+                      </div>
+                    </div>
+                  )}
+
+                  {activeFlights.length > 0 && (
+                    <div className="border-t border-gray-600 pt-2 mt-2 space-y-1 text-yellow-400">
+                      <div className="flex justify-between">
+                        <span>In the air:</span>
+                        <span className="font-mono">
+                          {activeFlights.length} / {maxInAir}
+                        </span>
+                      </div>
+                      {activeFlights.map((flight) => (
+                        <div key={flight.id} className="text-xs">
+                          <div className="flex items-center gap-2">
+                            <span
+                              className="inline-block w-2 h-2 rounded-full"
+                              style={{ backgroundColor: flight.color }}
+                            />
+                            <span>{flightLabel(flight, units)}</span>
+                            <span className="ml-auto font-mono">
+                              {units.withUnit(flight.time, "time")}
+                            </span>
+                          </div>
+                          <div className="font-mono text-right text-gray-300">
+                            {flightPosition(flight, units)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
+              </div>
+              {/* Kinematics Charts */}
+              <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4">
+                <h3 className="font-semibold mb-3 text-teal-400 text-sm sm:text-base">
+                  Kinematics
+                </h3>
+                {chartShot ? (
+                  <KinematicsCharts
+                    current={chartShot.series}
+                    previous={previousSeries}
+                    time={Math.max(clockView.time - chartShot.launchTime, 0)}
+                    units={units}
+                  />
+                ) : (
+                  <p className="text-xs text-gray-400">
+                    Fire a shot to plot position, velocity and energy against
+                    time.
+                  </p>
+                )}
+                <p className="text-xs text-gray-400 mt-2">
+                  x and vₓ are measured along the aim. Energies use the{" "}
+                  {units.withUnit(projectile.mass, "mass", 3)} projectile mass
+                  with PE relative to y = 0; earlier shots are shown faded.
+                </p>
+              </div>
+            </>
+          )}
+          <ScenarioLibraryPanel
+            scenario={currentScenario}
+            onLoad={applyScenario}
+            loadLocked={isFiring}
+            onDownload={downloadFile}
+          />
+          {!concealed && (
+            <TrajectoryDataPanel
+              onExport={exportTrajectory}
+              measured={measured}
+              residuals={residuals}
+              onImport={setMeasured}
+              onClearMeasured={() => setMeasured(null)}
+              units={units}
+            />
+          )}
+          <MeasurePanel
+            tool={measuring}
+            onChooseTool={chooseMeasureTool}
+            lockedReason={
+              !concealed
+                ? null
+                : game
+                  ? "Not available during a game."
+                  : "Available once the lesson answer is revealed."
+            }
+            rulerPoints={rulerPoints}
+            onClearRuler={() => setRulerPoints([])}
+            gaugeDistance={gaugeDistance}
+            onGaugeDistanceChange={setGaugeDistance}
+            gaugeReading={gaugeReading}
+            gaugeBase={gaugeBase}
+            pinnedPoint={pinnedPoint}
+            units={units}
+          />
+          <UnitsPanel display={display} onChange={setDisplay} />
+          <CapturePanel
+            recording={recording}
+            onStartRecording={startRecordingClip}
+            onStopRecording={stopRecordingClip}
+            onHudChange={changeRecordHud}
+            onAutoStopChange={(autoStop) => {
+              recordAutoStopRef.current = autoStop;
+            }}
+            onSnapshot={takeSnapshot}
+          />
+          <ShotHistoryPanel
+            history={shotHistory}
+            predicting={predicting}
+            showGhosts={showGhosts}
+            onShowGhostsChange={setShowGhosts}
+            onUpdate={updateHistoryEntry}
+            onClear={clearHistory}
+            units={units}
+          />
+          {/* Controls */}
+          <div className="bg-gray-700 p-3 sm:p-4 rounded mb-4 text-xs text-gray-300">
+            <h3 className="font-semibold mb-2 text-gray-200 text-sm sm:text-base">
+              Controls
+            </h3>
+            <ul className="space-y-1">
+              <li>Drag or one finger: rotate the view</li>
+              <li>Right/Shift-drag or two fingers: pan</li>
+              <li>Scroll or pinch: zoom</li>
+              <li>↑ ↓ angle, ← → velocity (Shift for 0.1 steps)</li>
+              <li>Space: fire · 1–7: camera views · R: reset view</li>
+              <li>Free view: WASD to fly, Q/E down and up</li>
+            </ul>
           </div>
           {/* Physics Formulas */}
           <div className="bg-gray-700 p-3 sm:p-4 rounded text-xs font-mono text-gray-300 space-y-1 sm:space-y-2">
@@ -682,20 +4471,65 @@ const CannonSimulator = () => {
             <div className="space-y-1">
               <span>Horizontal Displacement:</span>
               <ul className="list-disc list-inside space-y-1">
-                <li>vₓ = v₀ cos θ (constant throughout flight)</li>
-                <li>x = vₓ t = (v₀ cos θ) t</li>
-                <li>R = (v₀² sin 2θ) / g (maximum range)</li>
+                <li id="eq-vx" className={equationClass("vx")}>
+                  vₓ = v₀ cos θ (constant throughout flight)
+                </li>
+                <li id="eq-x" className={equationClass("x")}>
+                  x = vₓ t = (v₀ cos θ) t
+                </li>
+                <li id="eq-range" className={equationClass("range")}>
+                  R = (v₀² sin 2θ) / g (maximum range)
+                </li>
               </ul>
             </div>
             <div className="space-y-1">
               <span>Vertical Displacement:</span>
               <ul className="list-disc list-inside space-y-1">
-                <li>v_y = v₀ sin θ - g t (final vertical velocity)</li>
-                <li>y = (v₀ sin θ) t - (1/2) g t²</li>
-                <li>H = (v₀² sin² θ) / (2 g) (maximum height)</li>
+                <li id="eq-vy" className={equationClass("vy")}>
+                  v_y = v₀ sin θ - g t (final vertical velocity)
+                </li>
+                <li id="eq-y" className={equationClass("y")}>
+                  y = (v₀ sin θ) t - (1/2) g t²
+                </li>
+                <li id="eq-apex" className={equationClass("apex")}>
+                  H = (v₀² sin² θ) / (2 g) (maximum height)
+                </li>
               </ul>
             </div>
-            <p className="text-gray-500 mt-2">g = {GRAVITY} m/s²</p>
+            <div className="space-y-1">
+              <span>Time of Flight:</span>
+              <ul className="list-disc list-inside space-y-1">
+                <li id="eq-time" className={equationClass("time")}>
+                  T = 2 v₀ sin θ / g (level ground)
+                </li>
+                <li
+                  id="eq-time-height"
+                  className={equationClass("time-height")}
+                >
+                  T = [v₀ sin θ + √((v₀ sin θ)² + 2 g y₀)] / g (from height y₀)
+                </li>
+              </ul>
+            </div>
+            {(dragEnabled || highlightEquation === "drag") && (
+              <div className="space-y-1">
+                <span>Air Drag (solved numerically, RK4):</span>
+                <ul className="list-disc list-inside space-y-1">
+                  <li>F_d = ½ ρ C_d A v²</li>
+                  <li id="eq-drag" className={equationClass("drag")}>
+                    a = -g ŷ - (ρ C_d A / 2m) |v| v
+                  </li>
+                </ul>
+              </div>
+            )}
+            <p className="text-gray-500 mt-2">
+              g = {units.withUnit(gravity, "acceleration")}
+            </p>
+            {units.unit("speed") !== `${units.unit("length")}/s` && (
+              <p className="text-gray-500">
+                Convert speeds from {units.unit("speed")} to{" "}
+                {units.unit("length")}/s before using them with g.
+              </p>
+            )}
           </div>{" "}
         </aside>
       </main>
@@ -0,0 +1,273 @@
+/**
+ * INVERSE SOLVER
+ *
+ * Answers "what do I need to hit that spot?" instead of "where will it land?".
+ * A target is given as a horizontal distance along the current aim and a
+ * world height. The distance is measured from the cannon pivot, or with
+ * `fromMuzzle` from the muzzle like the range readout, so the answer lands
+ * that far from wherever the barrel puts the muzzle at the solved elevation.
+ * Terrain and obstacles are not considered: the solver assumes a clear line
+ * of flight to the target.
+ *
+ * The muzzle moves with elevation (mount height plus barrel offset), so there
+ * is no clean closed form. Instead the solver asks the same forward model the
+ * preview uses for the trajectory height at the target distance and finds the
+ * roots numerically: a coarse scan for sign changes, then bisection.
+ *
+ * Moving targets need a lead. Firing now, the solver aims at where the target
+ * will be when the shot arrives, re-solving until the time of flight settles.
+ * Holding the current aim instead, it searches the target's cycle for the
+ * moment to fire.
+ */
+import {
+  GRAVITY,
+  headingVector,
+  launchFromMount,
+  solveTrajectory,
+} from "./ballistics";
+import { closestPass, motionPeriod, pathHits, targetAt } from "./targets";
+import { flatTerrain } from "./terrain";
+
+const SCAN_STEPS = 90;
+const BISECTION_STEPS = 40;
+const MIN_ANGLE = 0; // degrees
+const MAX_ANGLE = 89.9; // degrees
+const MAX_VELOCITY = 1000; // m/s, search ceiling for the velocity solve
+const LEAD_ITERATIONS = 20;
+const LEAD_TOLERANCE = 1e-3; // s, time of flight change that counts as settled
+const DELAY_STEPS = 120; // scan of one target cycle for the firing time
+const DELAY_REFINEMENTS = 3;
+
+/**
+ * Height `y` and flight time `t` of the trajectory when it passes `distance`
+ * metres along the aim (from the pivot, or from the muzzle if `fromMuzzle`),
+ * or null if the shot falls below `floor` (or never gets that far) first
+ */
+export const passAtDistance = ({
+  angle,
+  v0,
+  distance,
+  azimuth = 0,
+  mountHeight,
+  barrelLength,
+  baseHeight = 0,
+  gravity = GRAVITY,
+  drag = null,
+  wind = null,
+  floor = 0,
+  fromMuzzle = false,
+}) => {
+  const launch = launchFromMount({
+    angle,
+    v0,
+    azimuth,
+    mountHeight,
+    barrelLength,
+    baseHeight,
+  });
+  const aim = headingVector(azimuth);
+  const along = (p) => p.x * aim.x + p.z * aim.z;
+  const start = along({ x: launch.x0, z: launch.z0 });
+  const reach = fromMuzzle ? start + distance : distance;
+  if (reach < start) return null;
+  if (!drag) {
+    // Vacuum: the closed form is exact and cheap
+    const angleRad = (angle * Math.PI) / 180;
+    const vh = v0 * Math.cos(angleRad);
+    if (vh <= 0) return null;
+    const t = (reach - start) / vh;
+    const y = launch.y0 + v0 * Math.sin(angleRad) * t - 0.5 * gravity * t * t;
+    // Below the floor at the target means it came down short, as with drag
+    return y < floor ? null : { y, t };
+  }
+  const { points } = solveTrajectory({
+    ...launch,
+    gravity,
+    drag,
+    wind,
+    terrain: flatTerrain(floor),
+  });
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (along(b) >= reach) {
+      const f = (reach - along(a)) / (along(b) - along(a));
+      return { y: a.y + (b.y - a.y) * f, t: a.t + (b.t - a.t) * f };
+    }
+  }
+  return null;
+};
+
+/**
+ * Height of the trajectory when it passes `distance` metres along the aim,
+ * or -Infinity if it never does (see passAtDistance())
+ */
+export const heightAtDistance = (params) =>
+  passAtDistance(params)?.y ?? -Infinity;
+
+const bisect = (fn, lo, hi) => {
+  let fLo = fn(lo);
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = fn(mid);
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Low and high firing angles that hit the target at speed `v0`.
+ * Returns { low, high } in degrees; either is null when it does not exist
+ * (both null means the target is out of reach at this speed).
+ */
+export const solveFiringAngles = ({ distance, height, v0, ...env }) => {
+  const floor = Math.min(0, height);
+  const miss = (angle) =>
+    heightAtDistance({ ...env, angle, v0, distance, floor }) - height;
+  const roots = [];
+  let prevAngle = MIN_ANGLE;
+  let prevMiss = miss(prevAngle);
+  for (let i = 1; i <= SCAN_STEPS; i++) {
+    const angle = MIN_ANGLE + ((MAX_ANGLE - MIN_ANGLE) * i) / SCAN_STEPS;
+    const m = miss(angle);
+    if (prevMiss < 0 !== m < 0) {
+      roots.push(bisect(miss, prevAngle, angle));
+    }
+    prevAngle = angle;
+    prevMiss = m;
+  }
+  if (roots.length === 0) return { low: null, high: null };
+  const low = roots[0];
+  const high = roots[roots.length - 1];
+  // A single crossing means only one trajectory hits (e.g. target below muzzle)
+  return { low, high: roots.length > 1 ? high : null };
+};
+
+/**
+ * The launch speed that hits the target at a fixed elevation `angle`.
+ * At a fixed angle more speed always means a higher pass over the target, so
+ * there is at most one answer; null means no speed reaches it.
+ */
+export const solveVelocity = ({ distance, height, angle, ...env }) => {
+  const floor = Math.min(0, height);
+  const miss = (v0) =>
+    heightAtDistance({ ...env, angle, v0, distance, floor }) - height;
+  if (miss(MAX_VELOCITY) < 0) return null;
+  return bisect(miss, 0.1, MAX_VELOCITY);
+};
+
+/**
+ * Azimuth in degrees that points the cannon at a ground position
+ */
+const bearingTo = ({ x, z }) => (Math.atan2(-z, x) * 180) / Math.PI;
+
+/**
+ * Elevation and azimuth that hit a moving `target` when fired at `time` on
+ * the target clock, at speed `v0` and no lower than `minAngle`. The aim
+ * point starts at the target and is moved to where the target will be once
+ * the shot gets there, until the time of flight settles; the flatter arc is
+ * tried first, then the lob.
+ * Returns { reachable, angle, azimuth, tof, intercept }, where `intercept` is
+ * the target's position at impact; an unreachable target keeps the last aim
+ * point tried.
+ */
+export const solveLead = ({
+  target,
+  time,
+  v0,
+  terrain,
+  minAngle = MIN_ANGLE,
+  ...env
+}) => {
+  let last = null;
+  for (const arc of ["low", "high"]) {
+    let tof = 0;
+    for (let i = 0; i < LEAD_ITERATIONS; i++) {
+      const intercept = targetAt(target, time + tof, terrain).position;
+      const azimuth = bearingTo(intercept);
+      const distance = Math.hypot(intercept.x, intercept.z);
+      const aim = { ...env, azimuth, distance, v0 };
+      const angle = solveFiringAngles({ ...aim, height: intercept.y })[arc];
+      const pass =
+        angle !== null &&
+        angle >= minAngle &&
+        passAtDistance({ ...aim, angle, floor: Math.min(0, intercept.y) });
+      last = { reachable: false, azimuth, tof, intercept };
+      if (!pass) break;
+      const settled = Math.abs(pass.t - tof) < LEAD_TOLERANCE;
+      tof = pass.t;
+      if (settled) {
+        return {
+          reachable: true,
+          angle,
+          azimuth,
+          tof,
+          intercept: targetAt(target, time + tof, terrain).position,
+        };
+      }
+    }
+    // Out of reach on this arc, or the aim point keeps running away (a fast
+    // target on a long flight)
+  }
+  return last;
+};
+
+/**
+ * When to fire a fixed shot (its flight `points`) so it goes through a moving
+ * `target`, searching one target cycle from `time` on the target clock. Each
+ * close pass in a coarse scan is refined, and the earliest one that hits
+ * wins; failing that, the closest. Returns { delay, miss, hit, tof,
+ * intercept }: wait `delay` seconds, then the shot passes `miss` metres from
+ * the centre after `tof` seconds, with the target at `intercept`.
+ */
+export const bestFiringDelay = ({ target, points, time, terrain }) => {
+  const period = motionPeriod(target.motion);
+  const span = Number.isFinite(period) ? period : 0;
+  const passAfter = (delay) => ({
+    delay,
+    ...closestPass(target, points, { time: time + delay, terrain }),
+  });
+  const refine = (pass, step) => {
+    let best = pass;
+    for (let round = 0; round < DELAY_REFINEMENTS; round++) {
+      const from = Math.max(best.delay - step, 0);
+      const to = best.delay + step;
+      step /= 10;
+      for (let delay = from; delay <= to; delay += step) {
+        const next = passAfter(delay);
+        if (next.miss < best.miss) best = next;
+      }
+    }
+    return {
+      ...best,
+      hit: pathHits(target, points, { time: time + best.delay, terrain }),
+    };
+  };
+  const step = span / DELAY_STEPS;
+  const scan =
+    step > 0
+      ? Array.from({ length: DELAY_STEPS + 1 }, (_, i) => passAfter(i * step))
+      : [passAfter(0)];
+  const passes = scan
+    .filter(
+      (pass, i) =>
+        pass.miss <= (scan[i - 1]?.miss ?? Infinity) &&
+        pass.miss <= (scan[i + 1]?.miss ?? Infinity),
+    )
+    .map((pass) => (step > 0 ? refine(pass, step) : { ...pass, hit: false }));
+  const best =
+    passes.find((pass) => pass.hit) ??
+    passes.reduce((a, b) => (b.miss < a.miss ? b : a));
+  return {
+    delay: best.delay,
+    miss: best.miss,
+    hit: best.hit,
+    tof: best.t,
+    intercept: targetAt(target, time + best.delay + best.t, terrain).position,
+  };
+};
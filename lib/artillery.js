@@ -0,0 +1,170 @@
+/**
+ * ARTILLERY GAME
+ *
+ * Two players take turns firing at each other's cannon across a generated
+ * battlefield until one cannon is destroyed. A game is a plain object so it
+ * can live in React state:
+ *   { field: { seed, separation, craters }, turn, phase, health, wind, aims,
+ *     last, winner }
+ * - phase: "aim" (waiting for the shot), "flying", "result" (waiting to pass
+ *   the turn) or "over"
+ * - aims: the last angle, velocity and azimuth of each player
+ * - last: what the latest shot did, { damage: [p1, p2], miss } or null
+ *
+ * The battlefield has its own frame: player 1's cannon at the origin, player
+ * 2's `separation` metres along +x. Each turn is played from the shooter's
+ * side, with the field turned half round so their cannon stands at the
+ * simulator's origin and the opponent straight downrange at (separation, 0).
+ * The normal cannon, preview, solver and camera presets then work unchanged.
+ */
+import { battlefieldHeight, seededRandom } from "./terrain";
+
+export const PLAYERS = [
+  { name: "Player 1", color: "#38bdf8" },
+  { name: "Player 2", color: "#fb7185" },
+];
+export const MAX_HEALTH = 100;
+export const MAX_WIND = 8; // m/s
+const SEPARATION = { min: 60, max: 90 }; // metres between the cannons
+const DIRECT_HIT_RADIUS = 1.5; // metres from the cannon for full damage
+const BLAST_RADIUS = 10; // metres, no damage beyond
+const MAX_DAMAGE = 50;
+const CRATER = { radius: 4, depth: 1.5 }; // metres
+const CANNON_HEIGHT = 1; // metres above the ground the blast is measured to
+const DEFAULT_AIM = { angle: 45, velocity: 30, azimuth: 0 };
+
+/**
+ * Random wind for a turn, blowing toward any heading
+ */
+export const randomWind = (random = Math.random) => ({
+  speed: Math.round(random() * MAX_WIND * 10) / 10,
+  heading: Math.floor(random() * 360),
+});
+
+/**
+ * A new game on a fresh battlefield, player 1 to shoot first
+ */
+export const createGame = (random = Math.random) => {
+  const seed = 1 + Math.floor(random() * 100000);
+  const layout = seededRandom(seed);
+  return {
+    field: {
+      seed,
+      separation: Math.round(
+        SEPARATION.min + layout() * (SEPARATION.max - SEPARATION.min),
+      ),
+      craters: [],
+    },
+    turn: 0,
+    phase: "aim",
+    health: [MAX_HEALTH, MAX_HEALTH],
+    wind: randomWind(random),
+    aims: [DEFAULT_AIM, DEFAULT_AIM],
+    last: null,
+    winner: null,
+  };
+};
+
+/**
+ * Converts a ground position between the battlefield frame and the view of
+ * player `turn`; the half turn is its own inverse, so it works both ways
+ */
+export const sideView = ({ x, z }, turn, separation) =>
+  turn === 0 ? { x, z } : { x: separation - x, z: -z };
+
+/**
+ * The battlefield as a terrain seen from player `turn`'s side, craters and all
+ */
+export const gameTerrain = (field, turn) => {
+  const height = battlefieldHeight(field.seed, field.separation);
+  return {
+    type: "battlefield",
+    seed: field.seed,
+    heightAt: (x, z) => {
+      const p = sideView({ x, z }, turn, field.separation);
+      let y = height(p.x, p.z);
+      field.craters.forEach((crater) => {
+        const r = Math.hypot(p.x - crater.x, p.z - crater.z) / crater.radius;
+        if (r < 1) y -= crater.depth * (1 - r * r) ** 2;
+      });
+      return y;
+    },
+  };
+};
+
+/**
+ * Damage to a cannon `distance` metres from the blast: full within a direct
+ * hit, falling off to nothing at the edge of the blast
+ */
+export const blastDamage = (distance) => {
+  const falloff =
+    (distance - DIRECT_HIT_RADIUS) / (BLAST_RADIUS - DIRECT_HIT_RADIUS);
+  return Math.round(MAX_DAMAGE * (1 - Math.min(Math.max(falloff, 0), 1)));
+};
+
+/**
+ * The game after the shooter's shot comes down at `impact` (in the
+ * shooter's view, or null if it never landed) on `terrain`: a crater where it
+ * hit, blast damage to both cannons and the winner once a cannon is
+ * destroyed
+ */
+export const resolveShot = (game, impact, terrain) => {
+  const { turn, field } = game;
+  if (!impact) {
+    return { ...game, phase: "result", last: { damage: [0, 0], miss: null } };
+  }
+  // Both cannons as the shooter sees them: their own first, then the rival
+  const cannons = [0, field.separation].map((x) => ({
+    x,
+    y: terrain.heightAt(x, 0) + CANNON_HEIGHT,
+    z: 0,
+  }));
+  const [own, rival] = cannons.map((c) =>
+    blastDamage(Math.hypot(impact.x - c.x, impact.y - c.y, impact.z - c.z)),
+  );
+  const damage = turn === 0 ? [own, rival] : [rival, own];
+  const health = game.health.map((h, i) => Math.max(h - damage[i], 0));
+  // The shooter wins if the rival goes down, even taking their own cannon
+  let winner = null;
+  if (health[1 - turn] === 0) winner = turn;
+  else if (health[turn] === 0) winner = 1 - turn;
+  return {
+    ...game,
+    field: {
+      ...field,
+      craters: [
+        ...field.craters,
+        { ...sideView(impact, turn, field.separation), ...CRATER },
+      ],
+    },
+    phase: winner === null ? "result" : "over",
+    health,
+    last: {
+      damage,
+      miss: Math.hypot(impact.x - field.separation, impact.z),
+    },
+    winner,
+  };
+};
+
+/**
+ * Hands over to the other player with a new wind, keeping `aim` as the
+ * current player's last aim
+ */
+export const nextTurn = (game, aim, random = Math.random) => ({
+  ...game,
+  turn: 1 - game.turn,
+  phase: "aim",
+  wind: randomWind(random),
+  aims: game.aims.map((a, i) => (i === game.turn ? aim : a)),
+  last: null,
+});
+
+/**
+ * A new game between the same players on a fresh battlefield, with the loser
+ * of `game` shooting first
+ */
+export const rematch = (game, random = Math.random) => ({
+  ...createGame(random),
+  turn: game.winner === null ? 0 : 1 - game.winner,
+});
@@ -0,0 +1,548 @@
+/**
+ * BALLISTICS SOLVER
+ *
+ * Single source of truth for projectile motion. The preview line, the animated
+ * flight and the "Calculated Values" readout all go through solveTrajectory so
+ * they can never disagree.
+ *
+ * Two models:
+ * - Vacuum: closed-form kinematics (exact, no air)
+ * - Quadratic drag: F = ½ ρ C_d A v², integrated with fixed-step RK4
+ *
+ * Flight ends where the path first meets the terrain or an obstacle (see
+ * lib/terrain.js); without a terrain the ground is the flat plane y = 0.
+ *
+ * Trajectories are fully 3D. Azimuth 0° fires down +x and positive azimuth
+ * turns the aim toward -z (counter-clockwise seen from above), matching a
+ * Three.js rotation.y. Wind is a horizontal air velocity; it only acts through
+ * drag, so it has no effect on the vacuum model.
+ *
+ * All quantities are SI (metres, seconds, kilograms, degrees for angles).
+ */
+
+import {
+  flatTerrain,
+  obstacleNormal,
+  segmentObstacleHit,
+  terrainNormal,
+} from "./terrain";
+
+export const GRAVITY = 9.81; // m/s²
+// Surface gravity of a few bodies, m/s²
+export const GRAVITY_PRESETS = [
+  { id: "earth", label: "Earth", g: GRAVITY },
+  { id: "moon", label: "Moon", g: 1.62 },
+  { id: "mars", label: "Mars", g: 3.71 },
+  { id: "jupiter", label: "Jupiter", g: 24.79 },
+];
+export const DEFAULT_TIME_STEP = 1 / 120; // seconds per integration step
+const MAX_FLIGHT_TIME = 300; // seconds, guards against runaway integration
+
+/**
+ * Default drag model: a ~11.5 cm iron cannonball in sea-level air
+ */
+export const DEFAULT_DRAG = {
+  dragCoefficient: 0.47, // sphere
+  airDensity: 1.225, // kg/m³
+  area: 0.0104, // m² cross-section
+  mass: 6, // kg
+};
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Unit vector on the ground plane for a compass-style heading in degrees,
+ * using the azimuth convention above
+ */
+export const headingVector = (deg) => {
+  const rad = toRadians(deg);
+  return { x: Math.cos(rad), z: -Math.sin(rad) };
+};
+
+/**
+ * Horizontal wind velocity (m/s) blowing toward `heading` degrees
+ */
+export const windVector = (speed, heading) => {
+  const dir = headingVector(heading);
+  return { x: dir.x * speed, z: dir.z * speed };
+};
+
+/**
+ * SECTION 1: CLOSED-FORM VACUUM KINEMATICS
+ * Positions are relative to the launch point; y0 is the launch height.
+ */
+export const calculateTrajectory = (angle, v0, time, y0 = 0, g = GRAVITY) => {
+  const angleRad = toRadians(angle);
+  const vx = v0 * Math.cos(angleRad);
+  const vy = v0 * Math.sin(angleRad);
+  // Position at time t
+  const x = vx * time;
+  const y = y0 + vy * time - 0.5 * g * time * time;
+  return { x, y };
+};
+export const calculateFlightTime = (angle, v0, y0 = 0, g = GRAVITY) => {
+  const angleRad = toRadians(angle);
+  const vy = v0 * Math.sin(angleRad);
+  const discriminant = vy * vy + 2 * g * y0;
+  if (discriminant < 0) return 0;
+  return (vy + Math.sqrt(discriminant)) / g;
+};
+export const calculateRange = (angle, v0, y0 = 0, g = GRAVITY) => {
+  const t_flight = calculateFlightTime(angle, v0, y0, g);
+  const angleRad = toRadians(angle);
+  const vx = v0 * Math.cos(angleRad);
+  return vx * t_flight;
+};
+export const calculateMaxHeight = (angle, v0, y0 = 0, g = GRAVITY) => {
+  const angleRad = toRadians(angle);
+  const vy = v0 * Math.sin(angleRad);
+  return y0 + (vy * vy) / (2 * g);
+};
+
+/**
+ * SECTION 2: QUADRATIC DRAG
+ * k = ½ ρ C_d A / m, so the drag deceleration is k |v| v
+ */
+export const dragConstant = (drag) => {
+  if (!drag || !(drag.mass > 0)) return 0;
+  return (0.5 * drag.airDensity * drag.dragCoefficient * drag.area) / drag.mass;
+};
+
+// State vector: [x, y, z, vx, vy, vz]; drag acts on the air-relative velocity
+const derivative = (state, k, g, wind) => {
+  const [, , , vx, vy, vz] = state;
+  const rx = vx - wind.x;
+  const rz = vz - wind.z;
+  const airSpeed = Math.hypot(rx, vy, rz);
+  return [
+    vx,
+    vy,
+    vz,
+    -k * airSpeed * rx,
+    -g - k * airSpeed * vy,
+    -k * airSpeed * rz,
+  ];
+};
+
+const rk4Step = (state, dt, k, g, wind) => {
+  const add = (s, d, h) => s.map((v, i) => v + d[i] * h);
+  const k1 = derivative(state, k, g, wind);
+  const k2 = derivative(add(state, k1, dt / 2), k, g, wind);
+  const k3 = derivative(add(state, k2, dt / 2), k, g, wind);
+  const k4 = derivative(add(state, k3, dt), k, g, wind);
+  return state.map(
+    (v, i) => v + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]),
+  );
+};
+
+const lerp = (a, b, f) => a + (b - a) * f;
+
+const lerpPoint = (a, b, f) => ({
+  t: lerp(a.t, b.t, f),
+  x: lerp(a.x, b.x, f),
+  y: lerp(a.y, b.y, f),
+  z: lerp(a.z, b.z, f),
+  vx: lerp(a.vx, b.vx, f),
+  vy: lerp(a.vy, b.vy, f),
+  vz: lerp(a.vz, b.vz, f),
+});
+
+// Launch platform of the default cannon, metres
+export const DEFAULT_PLATFORM = { mountHeight: 1.5, barrelLength: 3 };
+
+/**
+ * Launch parameters for a cannon pivoting at (0, baseHeight + mountHeight, 0):
+ * the shot leaves from the muzzle, one barrel length along the aim
+ */
+export const launchFromMount = ({
+  angle,
+  v0,
+  azimuth = 0,
+  mountHeight,
+  barrelLength,
+  baseHeight = 0,
+}) => {
+  const angleRad = toRadians(angle);
+  const aim = headingVector(azimuth);
+  const reach = barrelLength * Math.cos(angleRad);
+  return {
+    angle,
+    v0,
+    azimuth,
+    x0: aim.x * reach,
+    y0: baseHeight + mountHeight + barrelLength * Math.sin(angleRad),
+    z0: aim.z * reach,
+  };
+};
+
+/**
+ * SECTION 3: FREE FLIGHT
+ * First contact with the terrain or an obstacle inside one step a→b, or null.
+ * `pointAt(f)` gives the position a fraction f through the step, so the
+ * ground crossing is refined on the real path rather than a straight chord.
+ */
+const CONTACT_BISECTION_STEPS = 30;
+const findContact = (a, b, pointAt, terrain, obstacles) => {
+  let best = null;
+  obstacles.forEach((obstacle) => {
+    const f = segmentObstacleHit(obstacle, a, b);
+    if (f !== null && (!best || f < best.f)) {
+      best = { f, surface: "obstacle", obstacle };
+    }
+  });
+  const clearance = (p) => p.y - terrain.heightAt(p.x, p.z);
+  if (clearance(b) < 0) {
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < CONTACT_BISECTION_STEPS; i++) {
+      const mid = (lo + hi) / 2;
+      if (clearance(pointAt(mid)) < 0) hi = mid;
+      else lo = mid;
+    }
+    if (!best || hi < best.f) {
+      best = { f: hi, surface: "ground", obstacle: null };
+    }
+  }
+  if (!best) return null;
+  const point = pointAt(best.f);
+  if (best.surface === "ground") {
+    // Snap onto the surface so the impact sits exactly on the ground
+    point.y = terrain.heightAt(point.x, point.z);
+  }
+  return { ...best, point };
+};
+
+const toPoint = (t, s) => ({
+  t,
+  x: s[0],
+  y: s[1],
+  z: s[2],
+  vx: s[3],
+  vy: s[4],
+  vz: s[5],
+});
+
+/**
+ * Free flight from `start` (a point with position, velocity and time) until
+ * the first contact. Vacuum arcs use the exact solution from that state;
+ * with drag the state is stepped with RK4.
+ */
+const fly = (start, { k, gravity, air, terrain, obstacles, dt }) => {
+  const vacuumPoint = (t) => {
+    const s = t - start.t;
+    return {
+      t,
+      x: start.x + start.vx * s,
+      y: start.y + start.vy * s - 0.5 * gravity * s * s,
+      z: start.z + start.vz * s,
+      vx: start.vx,
+      vy: start.vy - gravity * s,
+      vz: start.vz,
+    };
+  };
+  let state = [start.x, start.y, start.z, start.vx, start.vy, start.vz];
+  let prev = start;
+  const points = [];
+  let maxHeight = start.y;
+  for (let i = 1; prev.t < MAX_FLIGHT_TIME; i++) {
+    let point;
+    let pointAt;
+    if (k === 0) {
+      point = vacuumPoint(start.t + i * dt);
+      const t0 = prev.t;
+      pointAt = (f) => vacuumPoint(t0 + (point.t - t0) * f);
+    } else {
+      state = rk4Step(state, dt, k, gravity, air);
+      point = toPoint(start.t + i * dt, state);
+      const a = prev;
+      pointAt = (f) => lerpPoint(a, point, f);
+    }
+    const contact = findContact(prev, point, pointAt, terrain, obstacles);
+    if (contact) {
+      points.push(contact.point);
+      if (
+        k === 0 &&
+        start.vy > 0 &&
+        start.t + start.vy / gravity <= contact.point.t
+      ) {
+        // The apex fell between samples; use the exact value (times are on
+        // the shot's clock, which a rebound starts partway along)
+        maxHeight = start.y + (start.vy * start.vy) / (2 * gravity);
+      }
+      return { points, contact, maxHeight };
+    }
+    maxHeight = Math.max(maxHeight, point.y);
+    points.push(point);
+    prev = point;
+  }
+  return { points, contact: null, maxHeight };
+};
+
+/**
+ * SECTION 4: IMPACT PHYSICS
+ * At each contact the velocity is split along the surface normal n:
+ * - normal part reverses and shrinks by the restitution e
+ * - tangential part loses a Coulomb friction impulse μ (1 + e) |v·n|
+ * Once a ground bounce is too small to leave the surface the ball rolls,
+ * slowed by rolling resistance c_rr g and pushed by the slope, until it stops.
+ */
+export const DEFAULT_IMPACT = {
+  restitution: 0.5,
+  friction: 0.3,
+  rollingResistance: 0.15,
+};
+const MAX_BOUNCES = 25;
+const ROLL_SPEED = 0.5; // m/s, rebounds slower than this turn into rolling
+const REST_SPEED = 0.05; // m/s, slower than this counts as stopped
+const MAX_ROLL_TIME = 60; // seconds
+const SURFACE_OFFSET = 1e-4; // metres, lifts a rebound clear of the surface
+
+const dot3 = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+const bounce = (v, n, { restitution, friction }) => {
+  const vn = Math.min(dot3(v, n), 0);
+  const tangent = { x: v.x - vn * n.x, y: v.y - vn * n.y, z: v.z - vn * n.z };
+  const vt = Math.hypot(tangent.x, tangent.y, tangent.z);
+  const loss = vt > 0 ? Math.min(friction * (1 + restitution) * -vn, vt) : 0;
+  const keep = vt > 0 ? 1 - loss / vt : 0;
+  return {
+    x: tangent.x * keep - restitution * vn * n.x,
+    y: tangent.y * keep - restitution * vn * n.y,
+    z: tangent.z * keep - restitution * vn * n.z,
+    normalSpeed: -restitution * vn,
+  };
+};
+
+/**
+ * Rolls along the terrain from `start` until the ball stops, hits an
+ * obstacle or runs out of time
+ */
+const roll = (start, { gravity, terrain, obstacles, dt, impact }) => {
+  const points = [];
+  let prev = start;
+  let v = { x: start.vx, y: start.vy, z: start.vz };
+  const endTime = start.t + MAX_ROLL_TIME;
+  while (prev.t < endTime) {
+    const n = terrainNormal(terrain, prev.x, prev.z);
+    // Keep the velocity in the surface plane
+    const vn = dot3(v, n);
+    v = { x: v.x - vn * n.x, y: v.y - vn * n.y, z: v.z - vn * n.z };
+    const speed = Math.hypot(v.x, v.y, v.z);
+    // Gravity along the slope versus the most rolling resistance can give
+    const slope = {
+      x: gravity * n.y * n.x,
+      y: -gravity + gravity * n.y * n.y,
+      z: gravity * n.y * n.z,
+    };
+    const slopeAccel = Math.hypot(slope.x, slope.y, slope.z);
+    const resistance = impact.rollingResistance * gravity * n.y;
+    if (speed < REST_SPEED && slopeAccel <= resistance) break;
+    const scale = speed > 0 ? resistance / speed : 0;
+    const next = {
+      x: v.x + (slope.x - v.x * scale) * dt,
+      y: v.y + (slope.y - v.y * scale) * dt,
+      z: v.z + (slope.z - v.z * scale) * dt,
+    };
+    // Resistance only slows the ball down, it never turns it around
+    if (dot3(next, v) < 0 && slopeAccel <= resistance) {
+      v = { x: 0, y: 0, z: 0 };
+      break;
+    }
+    v = next;
+    const x = prev.x + v.x * dt;
+    const z = prev.z + v.z * dt;
+    const point = {
+      t: prev.t + dt,
+      x,
+      y: terrain.heightAt(x, z),
+      z,
+      vx: v.x,
+      vy: v.y,
+      vz: v.z,
+    };
+    if (obstacles.some((o) => segmentObstacleHit(o, prev, point) !== null)) {
+      // Rolled into an obstacle: it comes to rest against it
+      break;
+    }
+    points.push(point);
+    prev = point;
+  }
+  const last = points.length > 0 ? points[points.length - 1] : start;
+  points.push({ ...last, t: last.t + dt, vx: 0, vy: 0, vz: 0 });
+  return points;
+};
+
+const summarize = (points, azimuth, maxHeight, firstContact, bounces) => {
+  const start = points[0];
+  const impact = firstContact?.point ?? points[points.length - 1];
+  const rest = points[points.length - 1];
+  const dx = impact.x - start.x;
+  const dz = impact.z - start.z;
+  // Sideways drift measured perpendicular to the aim, positive to the left
+  const aim = headingVector(azimuth);
+  let totalTravel = 0;
+  for (let i = 1; i < points.length; i++) {
+    totalTravel += Math.hypot(
+      points[i].x - points[i - 1].x,
+      points[i].z - points[i - 1].z,
+    );
+  }
+  return {
+    points,
+    timeOfFlight: impact.t,
+    duration: rest.t,
+    range: Math.hypot(dx, dz),
+    drift: aim.z * dx - aim.x * dz,
+    maxHeight,
+    impact: {
+      ...impact,
+      speed: Math.hypot(impact.vx, impact.vy, impact.vz),
+      surface: firstContact?.surface ?? null,
+      obstacleId: firstContact?.obstacle?.id ?? null,
+    },
+    bounces,
+    rest: { t: rest.t, x: rest.x, y: rest.y, z: rest.z },
+    totalTravel,
+  };
+};
+
+/**
+ * SECTION 5: TRAJECTORY SOLVER
+ * Returns time-sampled points in world coordinates plus summary values.
+ * `range`, `timeOfFlight` and `impact` describe the first contact; `range` is
+ * the horizontal distance from the launch point, `drift` the sideways miss
+ * from the aim line and `maxHeight` the apex height. `impact.surface` says
+ * what stopped the shot ("ground" or "obstacle").
+ *
+ * With an `impact` model the path carries on through the bounces and the
+ * final roll: `bounces` lists each rebound point, `rest` where the ball
+ * stopped, `totalTravel` the horizontal path length and `duration` the time
+ * until rest. Without one, the shot simply stops at first contact.
+ */
+export const solveTrajectory = ({
+  angle,
+  v0,
+  azimuth = 0,
+  x0 = 0,
+  y0 = 0,
+  z0 = 0,
+  gravity = GRAVITY,
+  drag = null,
+  wind = null,
+  terrain = null,
+  obstacles = [],
+  impact = null,
+  dt = DEFAULT_TIME_STEP,
+}) => {
+  const angleRad = toRadians(angle);
+  const aim = headingVector(azimuth);
+  const vh = v0 * Math.cos(angleRad);
+  const env = {
+    k: dragConstant(drag),
+    gravity,
+    air: wind ?? { x: 0, z: 0 },
+    terrain: terrain ?? flatTerrain(),
+    obstacles,
+    dt,
+    impact,
+  };
+  const points = [
+    toPoint(0, [x0, y0, z0, aim.x * vh, v0 * Math.sin(angleRad), aim.z * vh]),
+  ];
+  const bounces = [];
+  let flight = fly(points[0], env);
+  const firstContact = flight.contact;
+  let maxHeight = flight.maxHeight;
+  points.push(...flight.points);
+  while (impact && flight.contact && bounces.length < MAX_BOUNCES) {
+    const { point, surface, obstacle } = flight.contact;
+    const n =
+      surface === "ground"
+        ? terrainNormal(env.terrain, point.x, point.z)
+        : obstacleNormal(obstacle, point);
+    const v = bounce({ x: point.vx, y: point.vy, z: point.vz }, n, impact);
+    bounces.push({ t: point.t, x: point.x, y: point.y, z: point.z, surface });
+    const rebound = {
+      ...point,
+      x: point.x + n.x * SURFACE_OFFSET,
+      y: point.y + n.y * SURFACE_OFFSET,
+      z: point.z + n.z * SURFACE_OFFSET,
+      vx: v.x,
+      vy: v.y,
+      vz: v.z,
+    };
+    if (v.normalSpeed < ROLL_SPEED) {
+      // Too little rebound to leave the surface
+      if (surface === "ground") {
+        points.push(...roll({ ...rebound, y: point.y }, env));
+      }
+      break;
+    }
+    flight = fly(rebound, env);
+    maxHeight = Math.max(maxHeight, flight.maxHeight);
+    points.push(...flight.points);
+  }
+  return summarize(points, azimuth, maxHeight, firstContact, bounces);
+};
+
+/**
+ * Position and velocity at time t, interpolated between solver samples.
+ * Times past the end clamp to the final point.
+ */
+export const sampleTrajectory = (trajectory, time) => {
+  const { points } = trajectory;
+  if (time <= 0) return points[0];
+  const last = points[points.length - 1];
+  if (time >= last.t) return last;
+  // Binary search: samples are not evenly spaced around contacts
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].t <= time) lo = mid;
+    else hi = mid;
+  }
+  const a = points[lo];
+  const b = points[hi];
+  return lerpPoint(a, b, (time - a.t) / (b.t - a.t));
+};
+
+/**
+ * Number of samples at or before `time`, for drawing the part of the path
+ * already flown
+ */
+export const flownSamples = (trajectory, time) => {
+  const { points } = trajectory;
+  if (time < 0) return 0;
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].t <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+/**
+ * Highest point of the first flight (before the first impact). Found where
+ * vy changes sign, so it falls between samples rather than on one; a shot
+ * that never climbs, or is stopped while still rising, peaks at its highest
+ * sample instead.
+ */
+export const findApex = (trajectory) => {
+  const { points, timeOfFlight } = trajectory;
+  let highest = points[0];
+  for (let i = 1; i < points.length && points[i].t <= timeOfFlight; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (a.vy > 0 && b.vy <= 0) {
+      return sampleTrajectory(
+        trajectory,
+        a.t + ((b.t - a.t) * a.vy) / (a.vy - b.vy),
+      );
+    }
+    if (b.y > highest.y) highest = b;
+  }
+  return highest;
+};
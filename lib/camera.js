@@ -0,0 +1,129 @@
+/**
+ * CAMERA RIGS
+ *
+ * Where a camera sits for each view. The orbit presets circle a target:
+ *   { rotation: { x: elevation, y: heading }, distance, target: [x, y, z] }
+ * and the mouse, touch and keyboard controls move them from there. The other
+ * views are worked out every frame:
+ * - sight: at the breech, looking along the bore
+ * - chase: riding behind the projectile, looking along its velocity
+ * - free: flown with WASD (Q/E down and up), looked around by dragging
+ */
+import * as THREE from "three";
+
+export const ORBIT_PRESETS = {
+  overview: { rotation: { x: 0.3, y: 0.8 }, distance: 30, target: [0, 5, 0] },
+  follow: { rotation: { x: 0.2, y: 0 }, distance: 15, target: [10, 5, 0] },
+  side: {
+    rotation: { x: 0.3, y: Math.PI / 2 },
+    distance: 35,
+    target: [0, 5, 0],
+  },
+  closeup: { rotation: { x: 0.2, y: 0.5 }, distance: 8, target: [0, 3, 0] },
+};
+const SIGHT_OFFSET = new THREE.Vector3(-1, 0.6, 0); // behind and above the pivot, in barrel axes
+const CHASE_DISTANCE = 6; // m behind the projectile
+const CHASE_HEIGHT = 1.5; // m above it
+const FREE_FLY_SPEED = 15; // m/s
+const MAX_PITCH = Math.PI / 2 - 0.05;
+export const FLY_KEYS = ["KeyW", "KeyA", "KeyS", "KeyD", "KeyQ", "KeyE"];
+
+export const orbitPosition = (target, { x, y }, distance) =>
+  new THREE.Vector3(
+    target.x + distance * Math.sin(y) * Math.cos(x),
+    target.y + distance * Math.sin(x),
+    target.z + distance * Math.cos(y) * Math.cos(x),
+  );
+
+export const placeOnOrbit = (camera, target, rotation, distance) => {
+  camera.position.copy(orbitPosition(target, rotation, distance));
+  camera.lookAt(target);
+};
+
+/**
+ * Position and direction of the bore. `barrel` is the group that pitches
+ * with the elevation; its origin is the pivot and its +x axis the bore.
+ */
+export const boreState = (barrel) => {
+  barrel.updateWorldMatrix(true, false);
+  const origin = new THREE.Vector3().setFromMatrixPosition(barrel.matrixWorld);
+  const direction = new THREE.Vector3(1, 0, 0).transformDirection(
+    barrel.matrixWorld,
+  );
+  return { origin, direction };
+};
+
+export const placeAtSight = (camera, barrel) => {
+  const { direction } = boreState(barrel);
+  camera.position.copy(barrel.localToWorld(SIGHT_OFFSET.clone()));
+  camera.lookAt(camera.position.clone().addScaledVector(direction, 100));
+};
+
+/**
+ * Behind a moving point ({ x, y, z, vx, vy, vz }), looking where it is going
+ */
+export const placeBehind = (camera, { x, y, z, vx, vy, vz }) => {
+  const position = new THREE.Vector3(x, y, z);
+  const direction = new THREE.Vector3(vx, vy, vz);
+  if (direction.lengthSq() < 1e-9) direction.set(1, 0, 0);
+  direction.normalize();
+  camera.position
+    .copy(position)
+    .addScaledVector(direction, -CHASE_DISTANCE)
+    .add(new THREE.Vector3(0, CHASE_HEIGHT, 0));
+  camera.lookAt(position.addScaledVector(direction, CHASE_DISTANCE));
+};
+
+/**
+ * Free-fly state starting from wherever `camera` is now
+ */
+export const freeFlyFrom = (camera) => {
+  const direction = camera.getWorldDirection(new THREE.Vector3());
+  return {
+    position: camera.position.clone(),
+    yaw: Math.atan2(-direction.x, -direction.z),
+    pitch: Math.asin(Math.min(Math.max(direction.y, -1), 1)),
+  };
+};
+
+const flyOrientation = ({ yaw, pitch }) =>
+  new THREE.Euler(pitch, yaw, 0, "YXZ");
+
+export const lookAround = (fly, deltaX, deltaY) => {
+  fly.yaw -= deltaX * 0.005;
+  fly.pitch = Math.min(
+    Math.max(fly.pitch - deltaY * 0.005, -MAX_PITCH),
+    MAX_PITCH,
+  );
+};
+
+/**
+ * Moves along the view direction; negative distances move back
+ */
+export const flyForward = (fly, distance) => {
+  const forward = new THREE.Vector3(0, 0, -1).applyEuler(flyOrientation(fly));
+  fly.position.addScaledVector(forward, distance);
+};
+
+/**
+ * One frame of flight for the held keys (KeyboardEvent.code values)
+ */
+export const flyStep = (fly, keys, dt) => {
+  const orientation = flyOrientation(fly);
+  const forward = new THREE.Vector3(0, 0, -1).applyEuler(orientation);
+  const right = new THREE.Vector3(1, 0, 0).applyEuler(orientation);
+  const move = new THREE.Vector3();
+  if (keys.has("KeyW")) move.add(forward);
+  if (keys.has("KeyS")) move.sub(forward);
+  if (keys.has("KeyD")) move.add(right);
+  if (keys.has("KeyA")) move.sub(right);
+  if (keys.has("KeyE")) move.y += 1;
+  if (keys.has("KeyQ")) move.y -= 1;
+  if (move.lengthSq() === 0) return;
+  fly.position.addScaledVector(move.normalize(), FREE_FLY_SPEED * dt);
+};
+
+export const placeFreeFly = (camera, fly) => {
+  camera.position.copy(fly.position);
+  camera.quaternion.setFromEuler(flyOrientation(fly));
+};
@@ -0,0 +1,144 @@
+/**
+ * MONTE CARLO DISPERSION
+ *
+ * Real guns never fire two shots exactly alike. This fires N simulated shots
+ * with normally distributed errors on muzzle velocity, elevation and azimuth,
+ * drawn from a seeded generator so the same seed always gives the same group,
+ * and summarizes where they land:
+ * - the mean point of impact (MPI)
+ * - spread along and across the line of fire (standard deviations)
+ * - probability ellipses from the 2×2 covariance of the impact points
+ * - CEP, the radius around the MPI holding half the shots
+ */
+import { headingVector, launchFromMount, solveTrajectory } from "./ballistics";
+import { seededRandom } from "./terrain";
+
+export const DEFAULT_DISPERSION = {
+  shots: 100,
+  seed: 1,
+  velocitySigma: 0.5, // m/s
+  angleSigma: 0.5, // degrees of elevation
+  azimuthSigma: 0.3, // degrees of traverse
+};
+export const ELLIPSE_LEVELS = [0.5, 0.95];
+
+/**
+ * Standard normal deviates from a uniform generator (Box–Muller)
+ */
+export const gaussian = (random) => {
+  const u = 1 - random(); // (0, 1], keeps log() finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Ellipse holding `level` of a 2D normal distribution with covariance
+ * [[sxx, sxz], [sxz, szz]] (x and z in world axes). `rotation` is the angle of
+ * the semi-major axis from +x toward +z, in radians.
+ */
+export const covarianceEllipse = ({ sxx, sxz, szz }, level) => {
+  const mean = (sxx + szz) / 2;
+  const diff = Math.sqrt(((sxx - szz) / 2) ** 2 + sxz * sxz);
+  const major = mean + diff;
+  const minor = Math.max(mean - diff, 0);
+  // Chi-square quantile with 2 degrees of freedom
+  const k = Math.sqrt(-2 * Math.log(1 - level));
+  return {
+    level,
+    semiMajor: k * Math.sqrt(major),
+    semiMinor: k * Math.sqrt(minor),
+    rotation: 0.5 * Math.atan2(2 * sxz, sxx - szz),
+  };
+};
+
+/**
+ * Fires the group. `launch` holds the nominal { angle, v0, azimuth } and the
+ * platform ({ mountHeight, barrelLength, baseHeight }); `env` is passed to
+ * solveTrajectory as is (gravity, drag, wind, terrain, obstacles). Each shot
+ * is scored at its first impact.
+ */
+export const simulateDispersion = (
+  { angle, v0, azimuth, ...platform },
+  env,
+  {
+    shots = DEFAULT_DISPERSION.shots,
+    seed = DEFAULT_DISPERSION.seed,
+    velocitySigma = DEFAULT_DISPERSION.velocitySigma,
+    angleSigma = DEFAULT_DISPERSION.angleSigma,
+    azimuthSigma = DEFAULT_DISPERSION.azimuthSigma,
+  } = {},
+) => {
+  const random = seededRandom(seed);
+  const impacts = Array.from({ length: shots }, () => {
+    const shot = {
+      angle: angle + angleSigma * gaussian(random),
+      v0: Math.max(v0 + velocitySigma * gaussian(random), 0.1),
+      azimuth: azimuth + azimuthSigma * gaussian(random),
+    };
+    const { impact } = solveTrajectory({
+      ...launchFromMount({ ...platform, ...shot }),
+      ...env,
+    });
+    return { ...shot, x: impact.x, y: impact.y, z: impact.z };
+  });
+
+  const n = impacts.length;
+  const mean = {
+    x: impacts.reduce((sum, p) => sum + p.x, 0) / n,
+    z: impacts.reduce((sum, p) => sum + p.z, 0) / n,
+  };
+  // Sample covariance of the impact points
+  const cov = { sxx: 0, sxz: 0, szz: 0 };
+  impacts.forEach((p) => {
+    const dx = p.x - mean.x;
+    const dz = p.z - mean.z;
+    cov.sxx += dx * dx;
+    cov.sxz += dx * dz;
+    cov.szz += dz * dz;
+  });
+  const dof = Math.max(n - 1, 1);
+  cov.sxx /= dof;
+  cov.sxz /= dof;
+  cov.szz /= dof;
+  // Variance along the line of fire and across it
+  const aim = headingVector(azimuth);
+  const along =
+    aim.x * aim.x * cov.sxx +
+    2 * aim.x * aim.z * cov.sxz +
+    aim.z * aim.z * cov.szz;
+  const across =
+    aim.z * aim.z * cov.sxx -
+    2 * aim.x * aim.z * cov.sxz +
+    aim.x * aim.x * cov.szz;
+  const radii = impacts
+    .map((p) => Math.hypot(p.x - mean.x, p.z - mean.z))
+    .sort((a, b) => a - b);
+  return {
+    impacts,
+    mean,
+    covariance: cov,
+    sigmaDownrange: Math.sqrt(along),
+    sigmaCrossrange: Math.sqrt(across),
+    ellipses: ELLIPSE_LEVELS.map((level) => covarianceEllipse(cov, level)),
+    cep: radii[Math.floor((n - 1) / 2)],
+  };
+};
+
+/**
+ * Points around an ellipse centred on (cx, cz), for drawing
+ */
+export const ellipsePoints = (
+  { semiMajor, semiMinor, rotation },
+  cx,
+  cz,
+  segments = 64,
+) => {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return Array.from({ length: segments }, (_, i) => {
+    const t = (2 * Math.PI * i) / segments;
+    const a = semiMajor * Math.cos(t);
+    const b = semiMinor * Math.sin(t);
+    return { x: cx + a * cos - b * sin, z: cz + a * sin + b * cos };
+  });
+};
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_DRAG,
+  DEFAULT_PLATFORM,
+  GRAVITY,
+  windVector,
+} from "./ballistics";
+import { DEFAULT_DISPERSION, simulateDispersion } from "./dispersion";
+import { createTerrain } from "./terrain";
+
+const launch = { angle: 40, v0: 30, azimuth: 10, ...DEFAULT_PLATFORM };
+const env = {
+  gravity: GRAVITY,
+  drag: null,
+  wind: null,
+  terrain: createTerrain("random", 7),
+  obstacles: [],
+};
+const config = { ...DEFAULT_DISPERSION, shots: 50, seed: 42 };
+
+describe("simulateDispersion", () => {
+  it("gives the same group for the same seed", () => {
+    const first = simulateDispersion(launch, env, config);
+    const second = simulateDispersion(launch, env, config);
+    expect(second.impacts).toEqual(first.impacts);
+    expect(second.ellipses).toEqual(first.ellipses);
+    expect(second.cep).toBe(first.cep);
+  });
+
+  it("gives the same group with drag and wind", () => {
+    const windy = {
+      ...env,
+      drag: DEFAULT_DRAG,
+      wind: windVector(3, 90),
+    };
+    const first = simulateDispersion(launch, windy, config);
+    const second = simulateDispersion(launch, windy, config);
+    expect(second.impacts).toEqual(first.impacts);
+    expect(second.ellipses).toEqual(first.ellipses);
+  });
+
+  it("gives a different group for another seed", () => {
+    const first = simulateDispersion(launch, env, config);
+    const other = simulateDispersion(launch, env, { ...config, seed: 43 });
+    expect(other.impacts).not.toEqual(first.impacts);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * SHOT HISTORY
+ *
+ * Every fired shot is kept as a plain entry so it can live in React state and
+ * be drawn as a ghost trajectory:
+ *   { id, label, color, pinned, visible, params, results, points }
+ * `points` holds the sampled path (t, x, y, z, vx, vy, vz) exactly as the
+ * solver returned it.
+ */
+
+export const MAX_HISTORY = 20; // unpinned entries kept before the oldest drop
+
+/**
+ * Distinct colour per shot: hues stepped by the golden angle never repeat
+ * closely, however many shots are fired
+ */
+export const ghostColor = (id) => {
+  const hue = (id * 137.508) % 360;
+  return `hsl(${hue.toFixed(1)}, 80%, 60%)`;
+};
+
+/**
+ * Older ghosts fade out; pinned ones stay solid. `age` is 0 for the newest.
+ */
+export const ghostOpacity = (age, pinned) =>
+  pinned ? 0.85 : Math.max(0.15, 0.7 - age * 0.08);
+
+export const createHistoryEntry = (id, params, trajectory) => ({
+  id,
+  label: `#${id}`,
+  color: ghostColor(id),
+  pinned: false,
+  visible: true,
+  params,
+  results: {
+    range: trajectory.range,
+    maxHeight: trajectory.maxHeight,
+    timeOfFlight: trajectory.timeOfFlight,
+    drift: trajectory.drift,
+    impactSpeed: trajectory.impact.speed,
+  },
+  points: trajectory.points,
+});
+
+/**
+ * Adds an entry (newest first) and drops the oldest unpinned ones past
+ * MAX_HISTORY
+ */
+export const addToHistory = (history, entry) => {
+  const next = [entry, ...history];
+  let unpinned = 0;
+  return next.filter((e) => e.pinned || ++unpinned <= MAX_HISTORY);
+};
+
+/**
+ * Differences between two entries for the comparison table (b minus a)
+ */
+export const compareShots = (a, b) =>
+  ["range", "maxHeight", "timeOfFlight"].map((key) => ({
+    key,
+    a: a.results[key],
+    b: b.results[key],
+    delta: b.results[key] - a.results[key],
+  }));
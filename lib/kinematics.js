@@ -0,0 +1,42 @@
+/**
+ * KINEMATICS SERIES
+ *
+ * Turns solver points into the time series the charts plot. Horizontal
+ * quantities are measured along the aim (azimuth) from the launch point, so
+ * x and vₓ match the Equations panel whichever way the cannon faces.
+ * Potential energy is taken relative to y = 0.
+ */
+import { GRAVITY, headingVector } from "./ballistics";
+
+export const SERIES_KEYS = ["x", "y", "vx", "vy", "speed", "ke", "pe", "total"];
+
+/**
+ * Samples are thinned to about `maxSamples` (always keeping the last one) so
+ * charts stay cheap to redraw every frame
+ */
+export const kinematicSeries = (
+  points,
+  { azimuth = 0, mass = 1, gravity = GRAVITY, maxSamples = 200 } = {},
+) => {
+  const aim = headingVector(azimuth);
+  const start = points[0];
+  const stride = Math.max(1, Math.ceil(points.length / maxSamples));
+  const series = { t: [] };
+  SERIES_KEYS.forEach((key) => (series[key] = []));
+  points.forEach((p, i) => {
+    if (i % stride !== 0 && i !== points.length - 1) return;
+    const speed = Math.hypot(p.vx, p.vy, p.vz);
+    const ke = 0.5 * mass * speed * speed;
+    const pe = mass * gravity * p.y;
+    series.t.push(p.t);
+    series.x.push((p.x - start.x) * aim.x + (p.z - start.z) * aim.z);
+    series.y.push(p.y);
+    series.vx.push(p.vx * aim.x + p.vz * aim.z);
+    series.vy.push(p.vy);
+    series.speed.push(speed);
+    series.ke.push(ke);
+    series.pe.push(pe);
+    series.total.push(ke + pe);
+  });
+  return series;
+};
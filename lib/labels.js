@@ -0,0 +1,61 @@
+/**
+ * SCENE LABELS
+ *
+ * Text that floats in the 3D view: a sprite whose texture is drawn on a
+ * canvas. Sprites always face the camera and shrink with distance like the
+ * rest of the scene, so labels stay attached to what they describe.
+ */
+import * as THREE from "three";
+
+const FONT_SIZE = 28; // px on the label canvas
+const PADDING = 10; // px
+const WORLD_HEIGHT = 0.9; // metres a label stands tall in the scene
+
+const drawLabel = (sprite, text) => {
+  const canvas = sprite.userData.canvas;
+  const ctx = canvas.getContext("2d");
+  ctx.font = `${FONT_SIZE}px monospace`;
+  const width = Math.ceil(ctx.measureText(text).width) + PADDING * 2;
+  const height = FONT_SIZE + PADDING * 2;
+  canvas.width = width;
+  canvas.height = height;
+  // Resizing the canvas resets the context state
+  ctx.font = `${FONT_SIZE}px monospace`;
+  ctx.fillStyle = "rgba(17, 24, 39, 0.75)";
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = sprite.userData.color;
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, PADDING, height / 2);
+  sprite.material.map?.dispose();
+  sprite.material.map = new THREE.CanvasTexture(canvas);
+  sprite.material.needsUpdate = true;
+  sprite.scale.set((WORLD_HEIGHT * width) / height, WORLD_HEIGHT, 1);
+  sprite.userData.text = text;
+};
+
+/**
+ * A label sprite showing `text` in CSS colour `color`
+ */
+export const createLabel = (text, color = "#ffffff") => {
+  const sprite = new THREE.Sprite(
+    new THREE.SpriteMaterial({ depthTest: false, transparent: true }),
+  );
+  // Draw over the lines and meshes it labels
+  sprite.renderOrder = 10;
+  sprite.userData = { canvas: document.createElement("canvas"), color };
+  drawLabel(sprite, text);
+  return sprite;
+};
+
+/**
+ * Redraws the label only when its text actually changes, so it is cheap to
+ * call every frame
+ */
+export const setLabelText = (sprite, text) => {
+  if (sprite.userData.text !== text) drawLabel(sprite, text);
+};
+
+export const disposeLabel = (sprite) => {
+  sprite.material.map?.dispose();
+  sprite.material.dispose();
+};
@@ -0,0 +1,146 @@
+/**
+ * LESSONS
+ *
+ * Predict-then-fire exercises. A lesson is a sequence of challenges, each a
+ * plain JSON object:
+ *   {
+ *     title, prompt,
+ *     setup: { ...any scenario fields },   // see lib/scenarios.js
+ *     ask: ["range", "apex", "time"],      // what the student predicts
+ *     tolerance: 0.05,                     // relative error for full marks
+ *     hints: [{ text, equation }]          // equation: id of a line in the Equations panel
+ *   }
+ * The built-in lessons live in lessons.json; teachers can load their own in
+ * the same format.
+ */
+import BUILT_IN_LESSONS from "./lessons.json";
+import { normalizeScenario } from "./scenarios";
+
+// quantity: what the prediction measures, for unit conversion (lib/units.js)
+export const PREDICTIONS = {
+  range: { label: "Range", quantity: "length", actual: (shot) => shot.range },
+  apex: {
+    label: "Apex height",
+    quantity: "length",
+    actual: (shot) => shot.maxHeight,
+  },
+  time: {
+    label: "Flight time",
+    quantity: "time",
+    actual: (shot) => shot.timeOfFlight,
+  },
+};
+export const EQUATION_IDS = [
+  "vx",
+  "x",
+  "range",
+  "vy",
+  "y",
+  "apex",
+  "time",
+  "time-height",
+  "drag",
+];
+const DEFAULT_TOLERANCE = 0.05;
+// Errors this many times the tolerance (or more) score nothing
+const ZERO_SCORE_FACTOR = 5;
+
+const normalizeChallenge = (raw, i) => {
+  const c = raw && typeof raw === "object" ? raw : {};
+  const ask = (Array.isArray(c.ask) ? c.ask : []).filter(
+    (key, j, all) => PREDICTIONS[key] && all.indexOf(key) === j,
+  );
+  const tolerance = Number(c.tolerance);
+  return {
+    title: String(c.title ?? "").trim() || `Challenge ${i + 1}`,
+    prompt: String(c.prompt ?? ""),
+    setup: normalizeScenario(c.setup),
+    ask: ask.length > 0 ? ask : Object.keys(PREDICTIONS),
+    tolerance:
+      Number.isFinite(tolerance) && tolerance > 0
+        ? Math.min(tolerance, 1)
+        : DEFAULT_TOLERANCE,
+    hints: (Array.isArray(c.hints) ? c.hints : [])
+      .filter((hint) => hint?.text)
+      .map((hint) => ({
+        text: String(hint.text),
+        equation: EQUATION_IDS.includes(hint.equation) ? hint.equation : null,
+      })),
+  };
+};
+
+/**
+ * Fills in defaults and drops anything unusable. Throws an Error when there
+ * is no challenge to play.
+ */
+export const normalizeLesson = (raw) => {
+  const challenges = Array.isArray(raw?.challenges) ? raw.challenges : [];
+  if (challenges.length === 0) {
+    throw new Error("Lesson has no challenges");
+  }
+  return {
+    id: String(raw.id ?? raw.title ?? "lesson"),
+    title: String(raw.title ?? "").trim() || "Untitled lesson",
+    description: String(raw.description ?? ""),
+    challenges: challenges.map(normalizeChallenge),
+  };
+};
+
+export const LESSONS = BUILT_IN_LESSONS.map(normalizeLesson);
+
+/**
+ * Reads a lesson file: one lesson object, or an array whose first entry is
+ * used. Throws an Error when the file is not a lesson.
+ */
+export const parseLesson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  return normalizeLesson(Array.isArray(data) ? data[0] : data);
+};
+
+/**
+ * Full marks within the tolerance, falling linearly to zero at
+ * ZERO_SCORE_FACTOR times the tolerance
+ */
+export const scorePrediction = (predicted, actual, tolerance) => {
+  const error = predicted - actual;
+  const relativeError = Math.abs(error) / Math.max(Math.abs(actual), 1e-9);
+  const score =
+    relativeError <= tolerance
+      ? 100
+      : Math.max(
+          0,
+          Math.round(
+            100 *
+              (1 -
+                (relativeError - tolerance) /
+                  ((ZERO_SCORE_FACTOR - 1) * tolerance)),
+          ),
+        );
+  return { predicted, actual, error, relativeError, score };
+};
+
+/**
+ * Scores the predictions ({ range, apex, time } numbers, in SI) for a
+ * challenge against the shot actually fired
+ */
+export const checkPredictions = (challenge, predictions, shot) => {
+  const results = challenge.ask.map((key) => ({
+    key,
+    ...scorePrediction(
+      predictions[key],
+      PREDICTIONS[key].actual(shot),
+      challenge.tolerance,
+    ),
+  }));
+  return {
+    results,
+    score: Math.round(
+      results.reduce((sum, r) => sum + r.score, 0) / results.length,
+    ),
+  };
+};
@@ -0,0 +1,129 @@
+/**
+ * MEASURING TOOLS
+ *
+ * Geometry behind the tools that measure in the 3D view:
+ * - ruler: the distance between two clicked points on the ground or the path
+ * - height gauge: a vertical scale dragged along the aim, reading the height
+ *   of the path at its distance from the cannon
+ * - inspect: the time, position and speed at a point picked on the path
+ * Distances along the aim ("x") use the same frame as imported measurements
+ * (lib/trajectoryData.js): the horizontal distance from the cannon pivot.
+ */
+import * as THREE from "three";
+import { headingVector, sampleTrajectory } from "./ballistics";
+
+export const MEASURE_TOOLS = {
+  ruler: "Ruler",
+  gauge: "Height gauge",
+  inspect: "Inspect",
+};
+// A ray passes this close to a line to pick it, per metre from the camera
+const LINE_PICK_PER_METRE = 0.01;
+
+/**
+ * Raycaster through the pointer of a mouse event (or touch), for `camera`
+ * drawing onto `canvas`
+ */
+export const pointerRaycaster = ({ clientX, clientY }, canvas, camera) => {
+  const rect = canvas.getBoundingClientRect();
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(
+    new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1,
+    ),
+    camera,
+  );
+  return raycaster;
+};
+
+/**
+ * Nearest hit on `line`, with a pick tolerance that grows with the distance
+ * from the camera so the line is as easy to catch zoomed out as zoomed in
+ */
+export const raycastLine = (raycaster, line, camera) => {
+  const center = line.geometry.boundingSphere?.center ?? new THREE.Vector3();
+  raycaster.params.Line.threshold =
+    camera.position.distanceTo(center) * LINE_PICK_PER_METRE;
+  const [hit] = raycaster.intersectObject(line);
+  return hit ?? null;
+};
+
+/**
+ * Horizontal distance of a point along the aim from the cannon pivot
+ */
+export const alongAim = (point, azimuth) => {
+  const aim = headingVector(azimuth);
+  return point.x * aim.x + point.z * aim.z;
+};
+
+/**
+ * The path at a raycast hit on the preview line (drawn through
+ * trajectory.points): the hit's segment and its closest point on it give the
+ * time, and the state is sampled there. Adds speed and the distance `along`
+ * the aim.
+ */
+export const trajectoryPointAt = (trajectory, hit, azimuth) => {
+  const { points } = trajectory;
+  const i = Math.min(hit.index, points.length - 2);
+  const a = points[i];
+  const b = points[i + 1];
+  const segment = new THREE.Vector3(b.x - a.x, b.y - a.y, b.z - a.z);
+  const offset = new THREE.Vector3(
+    hit.point.x - a.x,
+    hit.point.y - a.y,
+    hit.point.z - a.z,
+  );
+  const lengthSq = segment.lengthSq();
+  const f =
+    lengthSq > 0 ? Math.min(Math.max(offset.dot(segment) / lengthSq, 0), 1) : 0;
+  const p = sampleTrajectory(trajectory, a.t + f * (b.t - a.t));
+  return {
+    ...p,
+    speed: Math.hypot(p.vx, p.vy, p.vz),
+    along: alongAim(p, azimuth),
+  };
+};
+
+/**
+ * Where the path first reaches `distance` along the aim, or null if it never
+ * gets that far
+ */
+export const heightAtDistance = (trajectory, distance, azimuth) => {
+  const { points } = trajectory;
+  for (let i = 1; i < points.length; i++) {
+    const da = alongAim(points[i - 1], azimuth);
+    const db = alongAim(points[i], azimuth);
+    if ((da - distance) * (db - distance) > 0 || da === db) continue;
+    const a = points[i - 1];
+    const t = a.t + ((distance - da) / (db - da)) * (points[i].t - a.t);
+    const p = sampleTrajectory(trajectory, t);
+    return { ...p, speed: Math.hypot(p.vx, p.vy, p.vz) };
+  }
+  return null;
+};
+
+/**
+ * Straight-line distance between two points and its horizontal and vertical
+ * parts
+ */
+export const rulerReading = (a, b) => {
+  const horizontal = Math.hypot(b.x - a.x, b.z - a.z);
+  const vertical = b.y - a.y;
+  return {
+    distance: Math.hypot(horizontal, vertical),
+    horizontal,
+    vertical,
+  };
+};
+
+/**
+ * Distance along the aim under the pointer, found on the vertical plane that
+ * holds the aim line. Null when the ray runs parallel to that plane.
+ */
+export const aimDistanceUnderPointer = (raycaster, azimuth) => {
+  const aim = headingVector(azimuth);
+  const plane = new THREE.Plane(new THREE.Vector3(-aim.z, 0, aim.x), 0);
+  const point = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  return point ? alongAim(point, azimuth) : null;
+};
@@ -0,0 +1,104 @@
+/**
+ * PROJECTILES
+ *
+ * What the cannon fires: a solid sphere described by its diameter, material
+ * density and drag coefficient, with the mass following from the first two.
+ *   { preset, diameter, density, dragCoefficient, mass }
+ * The drag model reads its area and mass from here, and the readouts use the
+ * mass for energy and momentum.
+ */
+import { DEFAULT_DRAG } from "./ballistics";
+
+export const PROJECTILE_PRESETS = [
+  {
+    id: "cannonball",
+    label: "Cannonball",
+    material: "Cast iron",
+    diameter: 0.115, // m
+    density: 7870, // kg/m³
+    dragCoefficient: 0.47,
+    color: 0xff4444,
+  },
+  {
+    id: "baseball",
+    label: "Baseball",
+    material: "Cork & leather",
+    diameter: 0.074,
+    density: 680,
+    dragCoefficient: 0.35,
+    color: 0xf5f5f5,
+  },
+  {
+    id: "golf",
+    label: "Golf ball",
+    material: "Rubber & ionomer",
+    diameter: 0.0427,
+    density: 1130,
+    dragCoefficient: 0.25,
+    color: 0xffffff,
+  },
+  {
+    id: "shotput",
+    label: "Shot put",
+    material: "Steel",
+    diameter: 0.12,
+    density: 8000,
+    dragCoefficient: 0.47,
+    color: 0x9e9e9e,
+  },
+];
+const CUSTOM_COLOR = 0x42a5f5;
+
+export const sphereMass = (diameter, density) =>
+  (density * Math.PI * diameter ** 3) / 6;
+
+/**
+ * Projectile from a preset, or with `overrides` applied as a custom one
+ */
+export const createProjectile = (presetId, overrides = null) => {
+  const preset =
+    PROJECTILE_PRESETS.find((p) => p.id === presetId) ?? PROJECTILE_PRESETS[0];
+  const { diameter, density, dragCoefficient } = { ...preset, ...overrides };
+  return {
+    preset: overrides ? "custom" : preset.id,
+    diameter,
+    density,
+    dragCoefficient,
+    mass: sphereMass(diameter, density),
+  };
+};
+
+export const DEFAULT_PROJECTILE = createProjectile("cannonball");
+
+export const projectileColor = (projectile) =>
+  PROJECTILE_PRESETS.find((p) => p.id === projectile.preset)?.color ??
+  CUSTOM_COLOR;
+
+/**
+ * Drag parameters for solveTrajectory
+ */
+export const projectileDrag = (
+  projectile,
+  airDensity = DEFAULT_DRAG.airDensity,
+) => ({
+  dragCoefficient: projectile.dragCoefficient,
+  airDensity,
+  area: (Math.PI * projectile.diameter ** 2) / 4,
+  mass: projectile.mass,
+});
+
+/**
+ * Radius of the sphere drawn in the scene. Real balls are a few centimetres
+ * across and would vanish at field scale, so sizes are exaggerated (but kept
+ * in proportion within limits).
+ */
+export const displayRadius = (projectile) =>
+  Math.min(Math.max(projectile.diameter * 4, 0.15), 2);
+
+export const kineticEnergy = (mass, speed) => 0.5 * mass * speed * speed;
+
+/**
+ * Angle of descent below the horizontal at a point, in degrees
+ */
+export const descentAngle = (point) =>
+  (Math.atan2(-point.vy, Math.hypot(point.vx, point.vz)) * 180) / Math.PI;
@@ -0,0 +1,94 @@
+/**
+ * RECORDING
+ *
+ * Video clips and still snapshots of the 3D view. Clips are not taken from
+ * the WebGL canvas directly: the render loop copies every frame onto a 2D
+ * canvas, optionally drawing a HUD over it, and MediaRecorder encodes that
+ * canvas's stream as WebM.
+ */
+const VIDEO_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+export const RECORDING_FPS = 30;
+export const SNAPSHOT_SCALES = [1, 2, 4];
+const HUD_FONT_SIZE = 14; // px at 1× pixel ratio
+const HUD_PADDING = 8;
+
+export const recordingSupported = () =>
+  typeof MediaRecorder !== "undefined" &&
+  typeof HTMLCanvasElement !== "undefined" &&
+  typeof HTMLCanvasElement.prototype.captureStream === "function";
+
+/**
+ * Starts recording `canvas`. The returned stop() resolves with the video.
+ */
+export const startRecording = (canvas, fps = RECORDING_FPS) => {
+  const type = VIDEO_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, type ? { mimeType: type } : {});
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      resolve(new Blob(chunks, { type: type ?? "video/webm" }));
+    };
+  });
+  recorder.start();
+  return {
+    stop: () => {
+      if (recorder.state !== "inactive") recorder.stop();
+      return stopped;
+    },
+  };
+};
+
+/**
+ * Lines of text in a dark box at the top-left corner
+ */
+export const drawHud = (ctx, lines, scale = 1) => {
+  const fontSize = HUD_FONT_SIZE * scale;
+  const padding = HUD_PADDING * scale;
+  ctx.font = `${fontSize}px monospace`;
+  const width =
+    Math.max(...lines.map((line) => ctx.measureText(line).width)) + padding * 2;
+  const height = lines.length * fontSize * 1.3 + padding * 2;
+  ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.fillRect(padding, padding, width, height);
+  ctx.fillStyle = "#facc15";
+  ctx.textBaseline = "top";
+  lines.forEach((line, i) => {
+    ctx.fillText(line, padding * 2, padding * 2 + i * fontSize * 1.3);
+  });
+};
+
+/**
+ * Copies the rendered frame onto the recording canvas, with the HUD over it
+ * when `hudLines` is given. Must run right after rendering, before the
+ * browser clears the WebGL drawing buffer.
+ */
+export const copyFrame = (target, source, hudLines, scale = 1) => {
+  if (target.width !== source.width || target.height !== source.height) {
+    target.width = source.width;
+    target.height = source.height;
+  }
+  const ctx = target.getContext("2d");
+  ctx.drawImage(source, 0, 0);
+  if (hudLines?.length) drawHud(ctx, hudLines, scale);
+};
+
+/**
+ * File name with the local date and time, e.g. cannon-2024-05-01-143210.png
+ */
+export const timestampedName = (prefix, extension, date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${prefix}-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate(),
+  )}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(
+    date.getSeconds(),
+  )}.${extension}`;
+};
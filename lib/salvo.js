@@ -0,0 +1,19 @@
+/**
+ * SALVO FIRING
+ *
+ * A salvo is several shots fired in one click, stepped apart in launch angle
+ * or speed around the cannon's current setting. The parameters and their
+ * limits are the same as the sweep's (see SWEEP_PARAMETERS).
+ */
+import { SWEEP_PARAMETERS } from "./sweep";
+
+/**
+ * Launch values for a salvo of `count` shots `step` apart, centred on the
+ * cannon's current value and kept within the parameter's limits
+ */
+export const salvoValues = (parameter, center, count, step) => {
+  const { min, max } = SWEEP_PARAMETERS[parameter];
+  return Array.from({ length: count }, (_, i) =>
+    Math.min(Math.max(center + (i - (count - 1) / 2) * step, min), max),
+  );
+};
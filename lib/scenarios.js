@@ -0,0 +1,301 @@
+/**
+ * SCENARIOS
+ *
+ * A scenario is the whole simulator setup as one plain, JSON-safe object:
+ *   { v, angle, velocity, azimuth, gravity, mountHeight, barrelLength,
+ *     camera, projectile, drag, impact, wind, terrain, obstacles, targetMode,
+ *     targetType, targets, aimTarget }
+ * Obstacles and targets are stored by type and ground position only (plus the
+ * path of a moving target) and are rebuilt on load, so they get fresh ids and
+ * sit on the scenario's terrain.
+ *
+ * Scenarios travel in the page URL (base64url JSON in the hash) and in a named
+ * library kept in localStorage, which can be exported and imported as JSON.
+ */
+import {
+  DEFAULT_DRAG,
+  DEFAULT_IMPACT,
+  DEFAULT_PLATFORM,
+  GRAVITY,
+  GRAVITY_PRESETS,
+} from "./ballistics";
+import { DEFAULT_PROJECTILE, PROJECTILE_PRESETS } from "./projectiles";
+import { MOTION_PATHS, TARGET_TYPES } from "./targets";
+import { TERRAIN_TYPES } from "./terrain";
+
+export const SCENARIO_VERSION = 1;
+export const CAMERA_MODES = [
+  "overview",
+  "follow",
+  "side",
+  "closeup",
+  "sight",
+  "chase",
+  "free",
+];
+export const URL_KEY = "s"; // hash parameter: #s=<encoded scenario>
+
+const STORAGE_KEY = "cannon-simulator:scenarios";
+const LIBRARY_FORMAT = "cannon-simulator-scenarios";
+
+export const DEFAULT_SCENARIO = {
+  v: SCENARIO_VERSION,
+  angle: 45,
+  velocity: 20,
+  azimuth: 0,
+  gravity: { preset: "earth", value: GRAVITY },
+  ...DEFAULT_PLATFORM,
+  camera: "overview",
+  projectile: {
+    preset: DEFAULT_PROJECTILE.preset,
+    diameter: DEFAULT_PROJECTILE.diameter,
+    density: DEFAULT_PROJECTILE.density,
+    dragCoefficient: DEFAULT_PROJECTILE.dragCoefficient,
+  },
+  drag: { enabled: false, airDensity: DEFAULT_DRAG.airDensity },
+  impact: { enabled: false, ...DEFAULT_IMPACT },
+  wind: { speed: 0, heading: 90 },
+  terrain: { type: "flat", seed: 1 },
+  obstacles: [],
+  targetMode: false,
+  targetType: "ring",
+  targets: [],
+  aimTarget: { distance: 30, height: 0 },
+};
+
+/**
+ * A finite number clamped to [min, max], or `fallback`
+ */
+const num = (value, fallback, min = -Infinity, max = Infinity) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+};
+
+const oneOf = (value, options, fallback) =>
+  options.includes(value) ? value : fallback;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * A named preset always carries its own g; only "custom" keeps the value
+ */
+const normalizeGravity = (gravity) => {
+  const preset = GRAVITY_PRESETS.find((p) => p.id === gravity?.preset);
+  if (preset) return { preset: preset.id, value: preset.g };
+  if (gravity?.preset === "custom") {
+    return { preset: "custom", value: num(gravity.value, GRAVITY, 0.1, 100) };
+  }
+  return DEFAULT_SCENARIO.gravity;
+};
+
+/**
+ * Fills in defaults and clamps everything to the ranges the panel allows, so
+ * a hand-edited link or an older file can never put the simulator in a state
+ * the UI could not reach
+ */
+export const normalizeScenario = (raw) => {
+  const s = raw && typeof raw === "object" ? raw : {};
+  const d = DEFAULT_SCENARIO;
+  const drag = s.drag ?? {};
+  const projectile = s.projectile ?? {};
+  const impact = s.impact ?? {};
+  return {
+    v: SCENARIO_VERSION,
+    angle: num(s.angle, d.angle, 15, 90),
+    velocity: num(s.velocity, d.velocity, 10, 100),
+    azimuth: num(s.azimuth, d.azimuth, -90, 90),
+    gravity: normalizeGravity(s.gravity),
+    mountHeight: num(s.mountHeight, d.mountHeight, 0, 50),
+    barrelLength: num(s.barrelLength, d.barrelLength, 0.5, 10),
+    camera: oneOf(s.camera, CAMERA_MODES, d.camera),
+    projectile: {
+      preset: oneOf(
+        projectile.preset,
+        [...PROJECTILE_PRESETS.map((p) => p.id), "custom"],
+        d.projectile.preset,
+      ),
+      diameter: num(projectile.diameter, d.projectile.diameter, 0.001, 2),
+      density: num(projectile.density, d.projectile.density, 1, 25000),
+      dragCoefficient: num(
+        projectile.dragCoefficient,
+        d.projectile.dragCoefficient,
+        0,
+        2,
+      ),
+    },
+    drag: {
+      enabled: Boolean(drag.enabled),
+      airDensity: num(drag.airDensity, d.drag.airDensity, 0),
+    },
+    impact: {
+      enabled: Boolean(impact.enabled),
+      restitution: num(impact.restitution, d.impact.restitution, 0, 1),
+      friction: num(impact.friction, d.impact.friction, 0, 1),
+      rollingResistance: num(
+        impact.rollingResistance,
+        d.impact.rollingResistance,
+        0,
+        1,
+      ),
+    },
+    wind: {
+      speed: num(s.wind?.speed, d.wind.speed, 0, 30),
+      heading: num(s.wind?.heading, d.wind.heading, 0, 359),
+    },
+    terrain: {
+      type: oneOf(s.terrain?.type, TERRAIN_TYPES, d.terrain.type),
+      seed: Math.floor(num(s.terrain?.seed, d.terrain.seed, 1)),
+    },
+    obstacles: (Array.isArray(s.obstacles) ? s.obstacles : []).map((o) => ({
+      type: o?.type === "wall" ? "wall" : "box",
+      x: num(o?.x, 0),
+      z: num(o?.z, 0),
+    })),
+    targetMode: Boolean(s.targetMode),
+    targetType: oneOf(s.targetType, TARGET_TYPES, d.targetType),
+    targets: (Array.isArray(s.targets) ? s.targets : []).map((t) => ({
+      type: oneOf(t?.type, TARGET_TYPES, "ring"),
+      x: num(t?.x, 0),
+      z: num(t?.z, 0),
+      elevation: num(t?.elevation, 0, 0),
+      motion: t?.motion
+        ? {
+            path: oneOf(t.motion.path, Object.keys(MOTION_PATHS), "static"),
+            speed: num(t.motion.speed, 4, 0.1, 50),
+            span: num(t.motion.span, 20, 1, 200),
+          }
+        : null,
+    })),
+    aimTarget: {
+      distance: num(s.aimTarget?.distance, d.aimTarget.distance, 0),
+      height: num(s.aimTarget?.height, d.aimTarget.height),
+    },
+  };
+};
+
+/**
+ * Compact placed objects for a scenario: type and ground position, with
+ * targets keeping their height above the ground and how they move
+ */
+export const scenarioObstacles = (obstacles) =>
+  obstacles.map(({ type, position }) => ({
+    type,
+    x: round(position.x),
+    z: round(position.z),
+  }));
+
+export const scenarioTargets = (targets, terrain) =>
+  targets.map(({ type, position, motion }) => ({
+    type,
+    x: round(position.x),
+    z: round(position.z),
+    elevation: round(position.y - terrain.heightAt(position.x, position.z)),
+    motion: motion
+      ? { path: motion.path, speed: motion.speed, span: motion.span }
+      : null,
+  }));
+
+/**
+ * URL-safe base64 of the scenario JSON (no padding)
+ */
+export const encodeScenario = (scenario) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+/**
+ * Inverse of encodeScenario; null when the text is not a scenario
+ */
+export const decodeScenario = (code) => {
+  try {
+    const binary = atob(code.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    return normalizeScenario(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Scenario encoded in a location hash such as "#s=...", or null
+ */
+export const scenarioFromHash = (hash) => {
+  const code = new URLSearchParams(hash.replace(/^#/, "")).get(URL_KEY);
+  return code ? decodeScenario(code) : null;
+};
+
+export const scenarioHash = (scenario) =>
+  `#${URL_KEY}=${encodeScenario(scenario)}`;
+
+/**
+ * LIBRARY
+ * Entries are { id, name, savedAt, scenario }, newest first
+ */
+const newId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const normalizeEntry = (entry, id = newId()) => ({
+  id,
+  name: String(entry?.name ?? "").trim() || "Untitled",
+  savedAt: num(entry?.savedAt, Date.now()),
+  scenario: normalizeScenario(entry?.scenario),
+});
+
+export const loadLibrary = (storage = window.localStorage) => {
+  try {
+    const entries = JSON.parse(storage.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(entries)
+      ? entries.map((entry) => normalizeEntry(entry, entry?.id ?? undefined))
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveLibrary = (entries, storage = window.localStorage) => {
+  storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+};
+
+export const addScenario = (library, name, scenario) => [
+  normalizeEntry({ name, scenario, savedAt: Date.now() }),
+  ...library,
+];
+
+export const renameScenario = (library, id, name) =>
+  library.map((entry) =>
+    entry.id === id ? { ...entry, name: name.trim() || entry.name } : entry,
+  );
+
+export const deleteScenario = (library, id) =>
+  library.filter((entry) => entry.id !== id);
+
+export const exportLibrary = (entries) =>
+  JSON.stringify(
+    { format: LIBRARY_FORMAT, version: SCENARIO_VERSION, scenarios: entries },
+    null,
+    2,
+  );
+
+/**
+ * Reads an exported library (or a bare array of entries). Imported entries
+ * get new ids so they never clash with what is already saved. Throws an Error
+ * when the file is not a scenario library.
+ */
+export const importLibrary = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  const entries = Array.isArray(data) ? data : data?.scenarios;
+  if (!Array.isArray(entries)) {
+    throw new Error("No scenarios found in file");
+  }
+  return entries.map((entry) => normalizeEntry(entry));
+};
@@ -0,0 +1,99 @@
+/**
+ * PARAMETER SWEEP
+ *
+ * Range and apex height as functions of launch angle (or launch speed), for
+ * answering "which angle goes farthest?". Uses the closed-form vacuum model
+ * over level ground at the cannon's base, with the launch point raised by the
+ * mount and moved by the barrel exactly as in launchFromMount:
+ *   y0 = mountHeight + L sin θ,  range = R(θ, v0, y0)
+ * so the optimum is below 45° whenever the muzzle is above the ground. Range
+ * is measured from the muzzle, like the range readout.
+ */
+import { GRAVITY, calculateMaxHeight, calculateRange } from "./ballistics";
+
+// quantity: for unit conversion (lib/units.js); null is shown as is
+export const SWEEP_PARAMETERS = {
+  angle: { label: "Angle", unit: "°", quantity: null, min: 15, max: 90 },
+  velocity: {
+    label: "Velocity",
+    unit: "m/s",
+    quantity: "speed",
+    min: 10,
+    max: 100,
+  },
+};
+const REFINE_STEPS = 40;
+
+/**
+ * Range (from the muzzle) and apex height (above the base) of one shot
+ */
+export const sweepPoint = ({
+  angle,
+  v0,
+  mountHeight,
+  barrelLength,
+  gravity = GRAVITY,
+}) => {
+  const angleRad = (angle * Math.PI) / 180;
+  const y0 = mountHeight + barrelLength * Math.sin(angleRad);
+  return {
+    range: calculateRange(angle, v0, y0, gravity),
+    apex: calculateMaxHeight(angle, v0, y0, gravity),
+  };
+};
+
+/**
+ * Samples `parameter` ("angle" or "velocity") evenly from `from` to `to`,
+ * holding the other launch values fixed. `best` is the farthest shot, refined
+ * between the samples either side of the best one by golden-section search
+ * (range is single-peaked in both angle and speed).
+ */
+export const sweepParameter = ({
+  parameter,
+  from,
+  to,
+  samples = 91,
+  angle,
+  v0,
+  ...platform
+}) => {
+  const at = (value) => ({
+    value,
+    ...sweepPoint({
+      ...platform,
+      angle: parameter === "angle" ? value : angle,
+      v0: parameter === "velocity" ? value : v0,
+    }),
+  });
+  const points = Array.from({ length: samples }, (_, i) =>
+    at(from + ((to - from) * i) / (samples - 1)),
+  );
+  const i = points.reduce(
+    (bestIndex, p, j) => (p.range > points[bestIndex].range ? j : bestIndex),
+    0,
+  );
+  let lo = points[Math.max(i - 1, 0)].value;
+  let hi = points[Math.min(i + 1, samples - 1)].value;
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  for (let step = 0; step < REFINE_STEPS; step++) {
+    const a = hi - ratio * (hi - lo);
+    const b = lo + ratio * (hi - lo);
+    if (at(a).range < at(b).range) lo = a;
+    else hi = b;
+  }
+  const refined = at((lo + hi) / 2);
+  return {
+    parameter,
+    points,
+    best: refined.range >= points[i].range ? refined : points[i],
+  };
+};
+
+/**
+ * `count` evenly spaced values across the span, for drawing a family of
+ * trajectories
+ */
+export const familyValues = (from, to, count) =>
+  Array.from({ length: count }, (_, i) =>
+    count === 1 ? from : from + ((to - from) * i) / (count - 1),
+  );
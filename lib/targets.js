@@ -0,0 +1,275 @@
+/**
+ * TARGET PRACTICE
+ *
+ * Targets are plain objects so they can live in React state:
+ *   { id, type, position: { x, y, z }, radius?, width?, height?, motion? }
+ *
+ * - ring: flat disc on the ground, scored where the shot lands
+ * - hoop: upright ring floating in the air, facing the cannon
+ * - wall: upright rectangle standing on the ground, facing the cannon
+ *
+ * Targets are "paper": a hit is registered when the flight path crosses the
+ * target's plane inside its outline, but the shot carries on.
+ *
+ * A target with a `motion` travels at a constant speed along a set path, so
+ * its position depends on the target clock (seconds, see targetAt()):
+ *   { path, speed, span, anchor: { x, z }, lift }
+ * - line: back and forth across the line of fire, `span` metres end to end
+ * - circuit: round a circle `span` metres across, centred on the anchor
+ * It follows the ground, keeping `lift` metres above it. `position` holds
+ * where it stands at time zero.
+ */
+
+export const TARGET_TYPES = ["ring", "hoop", "wall"];
+export const MOTION_PATHS = {
+  static: "Static",
+  line: "Back and forth",
+  circuit: "Circuit",
+};
+export const DEFAULT_MOTION = { path: "static", speed: 4, span: 20 }; // m/s, m
+
+let nextTargetId = 1;
+
+/**
+ * Builds a target of the given type at a ground position; hoops float
+ * `elevation` metres above the ground at `groundY`, walls stand on it
+ */
+export const createTarget = (type, x, z, elevation = 0, groundY = 0) => {
+  const id = nextTargetId++;
+  switch (type) {
+    case "hoop":
+      return {
+        id,
+        type,
+        position: { x, y: groundY + elevation, z },
+        radius: 2,
+      };
+    case "wall":
+      return {
+        id,
+        type,
+        position: { x, y: groundY + 2, z },
+        width: 6,
+        height: 4,
+      };
+    default:
+      return { id, type: "ring", position: { x, y: groundY, z }, radius: 3 };
+  }
+};
+
+/**
+ * Random target somewhere in front of the cannon, standing on `terrain`
+ */
+export const randomTarget = (type, terrain, random = Math.random) => {
+  const distance = 15 + random() * 65;
+  const bearing = ((random() - 0.5) * Math.PI) / 3; // ±30°
+  const x = distance * Math.cos(bearing);
+  const z = -distance * Math.sin(bearing);
+  return createTarget(type, x, z, 3 + random() * 12, terrain.heightAt(x, z));
+};
+
+/**
+ * Sets `target` moving along a path (see MOTION_PATHS) from where it stands
+ * on the ground at `groundY`; a static path leaves it where it is
+ */
+export const addMotion = (target, { path, speed, span }, groundY = 0) => {
+  if (path !== "line" && path !== "circuit") return target;
+  const { x, y, z } = target.position;
+  return {
+    ...target,
+    motion: { path, speed, span, anchor: { x, z }, lift: y - groundY },
+  };
+};
+
+/**
+ * Seconds a moving target takes to come back to where it started, or
+ * Infinity for one that never moves
+ */
+export const motionPeriod = (motion) => {
+  if (!motion || !(motion.speed > 0) || !(motion.span > 0)) return Infinity;
+  const length =
+    motion.path === "circuit" ? Math.PI * motion.span : 2 * motion.span;
+  return length / motion.speed;
+};
+
+/**
+ * The target as it stands at `time` on the target clock, on `terrain`.
+ * Static targets come back unchanged.
+ */
+export const targetAt = (target, time, terrain) => {
+  const { motion } = target;
+  if (!motion) return target;
+  const { anchor, span, speed, lift } = motion;
+  const travelled = speed * time;
+  let x;
+  let z;
+  if (motion.path === "circuit") {
+    const radius = span / 2;
+    const turn = travelled / radius;
+    x = anchor.x + radius * Math.cos(turn);
+    z = anchor.z + radius * Math.sin(turn);
+  } else {
+    // Across the line of fire, starting from the anchor
+    const len = Math.hypot(anchor.x, anchor.z) || 1;
+    const phase =
+      (((travelled + span / 2) % (2 * span)) + 2 * span) % (2 * span);
+    const offset = (phase < span ? phase : 2 * span - phase) - span / 2;
+    x = anchor.x - (anchor.z / len) * offset;
+    z = anchor.z + (anchor.x / len) * offset;
+  }
+  return {
+    ...target,
+    position: { x, y: terrain.heightAt(x, z) + lift, z },
+  };
+};
+
+/**
+ * Local frame of a target: `normal` is the plane normal, `right` and `up`
+ * span the target's face
+ */
+export const targetFrame = (target) => {
+  const { x, z } = target.position;
+  if (target.type === "ring") {
+    return {
+      normal: { x: 0, y: 1, z: 0 },
+      right: { x: 1, y: 0, z: 0 },
+      up: { x: 0, y: 0, z: -1 },
+    };
+  }
+  // Upright targets face back toward the cannon at the origin
+  const len = Math.hypot(x, z) || 1;
+  const normal = { x: -x / len, y: 0, z: -z / len };
+  return {
+    normal,
+    right: { x: -normal.z, y: 0, z: normal.x },
+    up: { x: 0, y: 1, z: 0 },
+  };
+};
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+/**
+ * Where the segment a→b crosses the target's plane, in face coordinates,
+ * or null if it does not cross it
+ */
+const crossPlane = (target, a, b) => {
+  const frame = targetFrame(target);
+  const da = dot(sub(a, target.position), frame.normal);
+  const db = dot(sub(b, target.position), frame.normal);
+  if (da * db > 0 || da === db) return null;
+  const f = da / (da - db);
+  const point = {
+    x: a.x + (b.x - a.x) * f,
+    y: a.y + (b.y - a.y) * f,
+    z: a.z + (b.z - a.z) * f,
+  };
+  const offset = sub(point, target.position);
+  return {
+    point,
+    u: dot(offset, frame.right),
+    v: dot(offset, frame.up),
+    f,
+  };
+};
+
+const insideOutline = (target, u, v) =>
+  target.type === "wall"
+    ? Math.abs(u) <= target.width / 2 && Math.abs(v) <= target.height / 2
+    : Math.hypot(u, v) <= target.radius;
+
+/**
+ * Hit test for one step of the flight path; returns the crossing point or null
+ */
+export const segmentHit = (target, a, b) => {
+  const crossing = crossPlane(target, a, b);
+  if (!crossing || !insideOutline(target, crossing.u, crossing.v)) {
+    return null;
+  }
+  return crossing.point;
+};
+
+/**
+ * Whether a flight path passes through the target. `time` is the target
+ * clock at launch: a moving target is checked where it is as the shot gets
+ * there.
+ */
+export const pathHits = (target, points, { time = 0, terrain } = {}) =>
+  points.some(
+    (p, i) =>
+      i > 0 &&
+      segmentHit(targetAt(target, time + p.t, terrain), points[i - 1], p),
+  );
+
+/**
+ * How close a flight path comes to the target: where it first crosses the
+ * target's plane, or its closest approach if it never does. Returns
+ * { miss, t } with `t` the flight time of that pass; `time` is the target
+ * clock at launch, as for pathHits().
+ */
+export const closestPass = (target, points, { time = 0, terrain } = {}) => {
+  const at = (p) => targetAt(target, time + p.t, terrain);
+  let nearest = {
+    miss: distance(points[0], at(points[0]).position),
+    t: points[0].t,
+  };
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const placed = at(b);
+    const crossing = crossPlane(placed, a, b);
+    if (crossing) {
+      return {
+        miss: Math.hypot(crossing.u, crossing.v),
+        t: a.t + (b.t - a.t) * crossing.f,
+      };
+    }
+    const miss = distance(b, placed.position);
+    if (miss < nearest.miss) nearest = { miss, t: b.t };
+  }
+  return nearest;
+};
+
+/**
+ * Miss distance for a whole flight path: how far from the target centre the
+ * path crossed the target's plane, or its closest approach if it never did
+ */
+export const missDistance = (target, points, clock) =>
+  closestPass(target, points, clock).miss;
+
+/**
+ * Points for a shot: 100 for dead centre down to 50 at the edge, nothing for
+ * a miss
+ */
+export const shotPoints = (target, miss, hit) => {
+  if (!hit) return 0;
+  const size =
+    target.type === "wall"
+      ? Math.hypot(target.width, target.height) / 2
+      : target.radius;
+  return Math.round(100 - 50 * Math.min(miss / size, 1));
+};
+
+/**
+ * Scores a finished flight against every target. Returns the targets hit and
+ * the closest target with its miss distance and points. `clock` places
+ * moving targets, as for pathHits().
+ */
+export const evaluateShot = (targets, points, clock) => {
+  const hits = targets.filter((target) => pathHits(target, points, clock));
+  let best = null;
+  for (const target of targets) {
+    const miss = missDistance(target, points, clock);
+    const hit = hits.includes(target);
+    const score = shotPoints(target, miss, hit);
+    if (
+      !best ||
+      score > best.score ||
+      (score === best.score && miss < best.miss)
+    ) {
+      best = { target, miss, hit, score };
+    }
+  }
+  return { hits, best };
+};
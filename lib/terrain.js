@@ -0,0 +1,265 @@
+/**
+ * TERRAIN AND OBSTACLES
+ *
+ * A terrain is { type, seed, heightAt(x, z) } giving the ground height in
+ * metres at any point of the 200×200 m field. Every terrain keeps a level pad
+ * around the cannon at the origin so it always stands on flat ground.
+ *
+ * Obstacles are plain objects so they can live in React state:
+ *   { id, type: "box" | "wall", position: { x, y, z }, size: { w, h, d },
+ *     rotation }
+ * `position` is the centre of the base, `rotation` turns the obstacle about
+ * the vertical axis (radians, same sense as a Three.js rotation.y).
+ */
+
+export const TERRAIN_TYPES = ["flat", "hills", "valley", "cliff", "random"];
+export const FIELD_SIZE = 200; // metres, matches the ground mesh
+
+const PAD_RADIUS = 6; // metres of level ground around the cannon
+const CLIFF_HEIGHT = 20; // metres
+const CLIFF_EDGE = 10; // metres downrange where the cliff drops away
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * Small seeded PRNG (mulberry32) so a seed always builds the same heightmap
+ */
+export const seededRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Value noise: random heights on a coarse lattice, smoothly interpolated
+ */
+const valueNoise = (seed, cell, octaves) => {
+  const random = seededRandom(seed);
+  const size = Math.ceil(FIELD_SIZE / cell) + 2;
+  const layers = Array.from({ length: octaves }, (_, o) => {
+    const n = size * 2 ** o;
+    return Array.from({ length: n * n }, () => random() * 2 - 1);
+  });
+  return (x, z) => {
+    let height = 0;
+    layers.forEach((lattice, o) => {
+      const n = size * 2 ** o;
+      const scale = cell / 2 ** o;
+      const gx = (x + FIELD_SIZE / 2) / scale;
+      const gz = (z + FIELD_SIZE / 2) / scale;
+      const ix = Math.min(Math.max(Math.floor(gx), 0), n - 2);
+      const iz = Math.min(Math.max(Math.floor(gz), 0), n - 2);
+      const fx = smoothstep(0, 1, gx - ix);
+      const fz = smoothstep(0, 1, gz - iz);
+      const at = (i, j) => lattice[j * n + i];
+      const top = at(ix, iz) + (at(ix + 1, iz) - at(ix, iz)) * fx;
+      const bottom =
+        at(ix, iz + 1) + (at(ix + 1, iz + 1) - at(ix, iz + 1)) * fx;
+      height += (top + (bottom - top) * fz) / 2 ** o;
+    });
+    return height;
+  };
+};
+
+/**
+ * Blends a height function toward `padHeight` near the cannon
+ */
+const withPad =
+  (heightFn, padHeight = 0) =>
+  (x, z) => {
+    const blend = smoothstep(PAD_RADIUS, PAD_RADIUS * 2.5, Math.hypot(x, z));
+    return padHeight + (heightFn(x, z) - padHeight) * blend;
+  };
+
+export const flatTerrain = (height = 0) => ({
+  type: "flat",
+  seed: 0,
+  heightAt: () => height,
+});
+
+export const createTerrain = (type, seed = 1) => {
+  switch (type) {
+    case "hills":
+      return {
+        type,
+        seed,
+        heightAt: withPad(
+          (x, z) =>
+            4 * Math.sin(x * 0.06) * Math.cos(z * 0.05) +
+            3 * Math.sin(x * 0.11 + 1.3) * Math.sin(z * 0.09 + 0.7) +
+            3,
+        ),
+      };
+    case "valley":
+      // A trench across the firing line that climbs back out downrange
+      return {
+        type,
+        seed,
+        heightAt: withPad(
+          (x) => -12 * Math.exp(-(((x - 55) / 22) ** 2)) + 0.04 * x,
+        ),
+      };
+    case "cliff":
+      // The cannon stands on a plateau and fires off its edge
+      return {
+        type,
+        seed,
+        heightAt: (x) =>
+          CLIFF_HEIGHT * (1 - smoothstep(CLIFF_EDGE, CLIFF_EDGE + 4, x)),
+      };
+    case "random": {
+      const noise = valueNoise(seed, 40, 3);
+      return { type, seed, heightAt: withPad((x, z) => 8 * noise(x, z)) };
+    }
+    default:
+      return flatTerrain();
+  }
+};
+
+/**
+ * Ground for the artillery game (lib/artillery.js): rolling hills with a ridge
+ * between two cannons `separation` metres apart along +x, each standing on a
+ * level pad. Returns the height function.
+ */
+export const battlefieldHeight = (seed, separation) => {
+  const noise = valueNoise(seed, 30, 3);
+  const random = seededRandom(seed + 1);
+  const ridgeHeight = 6 + random() * 10;
+  const ridgeWidth = separation * (0.1 + random() * 0.1);
+  const hills = (x, z) =>
+    5 * noise(x, z) +
+    ridgeHeight * Math.exp(-(((x - separation / 2) / ridgeWidth) ** 2));
+  const nearCannon = withPad(hills, hills(0, 0));
+  const padB = nearCannon(separation, 0);
+  return (x, z) => {
+    const blend = smoothstep(
+      PAD_RADIUS,
+      PAD_RADIUS * 2.5,
+      Math.hypot(x - separation, z),
+    );
+    return padB + (nearCannon(x, z) - padB) * blend;
+  };
+};
+
+/**
+ * Moves objects placed on one terrain so they keep their height above the
+ * ground on another (works for obstacles and targets alike)
+ */
+export const reseatOnTerrain = (items, from, to) =>
+  items.map((item) => {
+    const { x, y, z } = item.position;
+    const lift = to.heightAt(x, z) - from.heightAt(x, z);
+    return { ...item, position: { x, y: y + lift, z } };
+  });
+
+let nextObstacleId = 1;
+
+/**
+ * Builds an obstacle standing on the terrain at (x, z), turned to face the
+ * cannon
+ */
+export const createObstacle = (type, x, z, terrain) => {
+  const size = type === "wall" ? { w: 10, h: 6, d: 0.6 } : { w: 4, h: 4, d: 4 };
+  return {
+    id: nextObstacleId++,
+    type: type === "wall" ? "wall" : "box",
+    position: { x, y: terrain.heightAt(x, z), z },
+    size,
+    rotation: Math.atan2(-x, -z),
+  };
+};
+
+/**
+ * Random obstacle somewhere in front of the cannon
+ */
+export const randomObstacle = (type, terrain, random = Math.random) => {
+  const distance = 15 + random() * 50;
+  const bearing = ((random() - 0.5) * Math.PI) / 4; // ±22.5°
+  return createObstacle(
+    type,
+    distance * Math.cos(bearing),
+    -distance * Math.sin(bearing),
+    terrain,
+  );
+};
+
+/**
+ * Fraction along the segment a→b where it first enters the obstacle, or null.
+ * The segment is moved into the obstacle's local frame and slab-tested
+ * against its box.
+ */
+export const segmentObstacleHit = (obstacle, a, b) => {
+  const { position, size, rotation } = obstacle;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const toLocal = (p) => {
+    const dx = p.x - position.x;
+    const dz = p.z - position.z;
+    return [dx * cos - dz * sin, p.y - position.y, dx * sin + dz * cos];
+  };
+  const start = toLocal(a);
+  const end = toLocal(b);
+  const min = [-size.w / 2, 0, -size.d / 2];
+  const max = [size.w / 2, size.h, size.d / 2];
+  let enter = 0;
+  let exit = 1;
+  for (let i = 0; i < 3; i++) {
+    const delta = end[i] - start[i];
+    if (Math.abs(delta) < 1e-12) {
+      if (start[i] < min[i] || start[i] > max[i]) return null;
+      continue;
+    }
+    let t0 = (min[i] - start[i]) / delta;
+    let t1 = (max[i] - start[i]) / delta;
+    if (t0 > t1) [t0, t1] = [t1, t0];
+    enter = Math.max(enter, t0);
+    exit = Math.min(exit, t1);
+    if (enter > exit) return null;
+  }
+  return enter;
+};
+
+/**
+ * Unit surface normal of the terrain at (x, z), from central differences
+ */
+export const terrainNormal = (terrain, x, z, h = 0.05) => {
+  const dx =
+    (terrain.heightAt(x + h, z) - terrain.heightAt(x - h, z)) / (2 * h);
+  const dz =
+    (terrain.heightAt(x, z + h) - terrain.heightAt(x, z - h)) / (2 * h);
+  const len = Math.hypot(dx, 1, dz);
+  return { x: -dx / len, y: 1 / len, z: -dz / len };
+};
+
+/**
+ * Outward normal of the obstacle face nearest to `point` (the bottom face is
+ * never hit, so it is left out)
+ */
+export const obstacleNormal = (obstacle, point) => {
+  const { position, size, rotation } = obstacle;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const dx = point.x - position.x;
+  const dz = point.z - position.z;
+  const lx = dx * cos - dz * sin;
+  const ly = point.y - position.y;
+  const lz = dx * sin + dz * cos;
+  const faces = [
+    { gap: Math.abs(lx - size.w / 2), local: [1, 0, 0] },
+    { gap: Math.abs(lx + size.w / 2), local: [-1, 0, 0] },
+    { gap: Math.abs(ly - size.h), local: [0, 1, 0] },
+    { gap: Math.abs(lz - size.d / 2), local: [0, 0, 1] },
+    { gap: Math.abs(lz + size.d / 2), local: [0, 0, -1] },
+  ];
+  const [nx, ny, nz] = faces.reduce((a, b) => (b.gap < a.gap ? b : a)).local;
+  // Back to world space (inverse of the local transform above)
+  return { x: nx * cos + nz * sin, y: ny, z: -nx * sin + nz * cos };
+};
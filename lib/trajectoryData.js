@@ -0,0 +1,228 @@
+/**
+ * TRAJECTORY DATA EXCHANGE
+ *
+ * Exports a solved trajectory (samples, launch parameters and summary) as CSV
+ * or JSON, and reads measured (t, x, y) points back in to compare against it.
+ *
+ * Measured points use the same frame as the inverse solver: x is the
+ * horizontal distance along the aim from the cannon pivot, y is the world
+ * height. For a shot fired at azimuth 0 that is exactly the exported x and y,
+ * so an export can be re-imported as a "measurement" of itself.
+ *
+ * Samples and summary are written in the display units when a `units`
+ * converter (lib/units.js) is passed; the parameters stay in SI, the same as
+ * a scenario file, so they can be loaded back unchanged.
+ */
+import { headingVector, sampleTrajectory } from "./ballistics";
+
+const COLUMNS = ["t", "x", "y", "z", "vx", "vy", "vz"];
+const COLUMN_QUANTITIES = {
+  t: "time",
+  x: "length",
+  y: "length",
+  z: "length",
+  vx: "speed",
+  vy: "speed",
+  vz: "speed",
+};
+const SUMMARY_QUANTITIES = {
+  range: "length",
+  maxHeight: "length",
+  timeOfFlight: "time",
+  drift: "length",
+  duration: "time",
+  impactSpeed: "speed",
+};
+// SI when no converter is given
+const convert = (units, value, quantity) =>
+  units ? units.toDisplay(value, quantity) : value;
+
+/**
+ * Summary figures written alongside the samples
+ */
+export const trajectorySummary = (trajectory, units = null) => {
+  const figures = {
+    range: trajectory.range,
+    maxHeight: trajectory.maxHeight,
+    timeOfFlight: trajectory.timeOfFlight,
+    drift: trajectory.drift,
+    duration: trajectory.duration,
+    impactSpeed: trajectory.impact.speed,
+  };
+  return {
+    ...Object.fromEntries(
+      Object.entries(figures).map(([key, value]) => [
+        key,
+        convert(units, value, SUMMARY_QUANTITIES[key]),
+      ]),
+    ),
+    impactSurface: trajectory.impact.surface,
+    bounces: trajectory.bounces.length,
+  };
+};
+
+const convertPoint = (point, units) =>
+  Object.fromEntries(
+    COLUMNS.map((key) => [
+      key,
+      convert(units, point[key], COLUMN_QUANTITIES[key]),
+    ]),
+  );
+
+/**
+ * Unit of each column and summary figure, or null for SI without labels
+ */
+const unitTable = (units) =>
+  units
+    ? Object.fromEntries(
+        [
+          ...Object.entries(COLUMN_QUANTITIES),
+          ...Object.entries(SUMMARY_QUANTITIES),
+        ].map(([key, quantity]) => [key, units.unit(quantity)]),
+      )
+    : null;
+
+/**
+ * Flattens nested parameters into "a.b" keys for the CSV header lines
+ */
+const flatten = (object, prefix = "") =>
+  Object.entries(object).flatMap(([key, value]) =>
+    value !== null && typeof value === "object"
+      ? flatten(value, `${prefix}${key}.`)
+      : [[`${prefix}${key}`, value]],
+  );
+
+/**
+ * CSV with the parameters and summary as "# key,value" comment lines, then
+ * one row per sample
+ */
+export const trajectoryToCsv = (trajectory, parameters, units = null) => {
+  const table = unitTable(units);
+  const meta = [
+    "# Cannon trajectory export",
+    ...(units ? [`# units,${units.system}`] : []),
+    ...flatten(parameters).map(([key, value]) => `# ${key},${value}`),
+    ...flatten(trajectorySummary(trajectory, units)).map(
+      ([key, value]) =>
+        `# summary.${key},${value}${table?.[key] ? `,${table[key]}` : ""}`,
+    ),
+  ];
+  const header = COLUMNS.map((key) =>
+    table ? `${key} (${table[key]})` : key,
+  ).join(",");
+  const rows = trajectory.points.map((p) => {
+    const row = convertPoint(p, units);
+    return COLUMNS.map((key) => row[key].toFixed(key === "t" ? 4 : 6)).join(
+      ",",
+    );
+  });
+  return [...meta, header, ...rows].join("\n") + "\n";
+};
+
+export const trajectoryToJson = (trajectory, parameters, units = null) =>
+  JSON.stringify(
+    {
+      ...(units
+        ? { units: { system: units.system, ...unitTable(units) } }
+        : {}),
+      parameters,
+      summary: trajectorySummary(trajectory, units),
+      points: trajectory.points.map((p) => convertPoint(p, units)),
+    },
+    null,
+    2,
+  );
+
+/**
+ * Reads measured points from CSV text. Blank lines and "#" comments are
+ * skipped; commas, semicolons or tabs separate fields. A header row is
+ * optional: when present, the t, x and y columns are found by name (units in
+ * brackets are allowed, e.g. "t (s)"), otherwise the first three columns are
+ * used. Values are read as SI unless a `units` converter is passed, in which
+ * case x and y are taken to be in its length unit. Throws an Error naming the
+ * offending line when a row is not numeric.
+ */
+export const parseMeasuredCsv = (text, units = null) => {
+  const lines = text.split(/\r?\n/);
+  let columns = { t: 0, x: 1, y: 2 };
+  let sawHeader = false;
+  const points = [];
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const fields = line.split(/[,;\t]/).map((f) => f.trim());
+    const numbers = fields.map(Number);
+    if (!sawHeader && points.length === 0 && numbers.some(Number.isNaN)) {
+      const names = fields.map((f) => f.toLowerCase().split(/[\s([]/)[0]);
+      columns = {
+        t: names.indexOf("t"),
+        x: names.indexOf("x"),
+        y: names.indexOf("y"),
+      };
+      if (Object.values(columns).some((i) => i < 0)) {
+        throw new Error(`Line ${index + 1}: header needs t, x and y columns`);
+      }
+      sawHeader = true;
+      return;
+    }
+    const point = {
+      t: numbers[columns.t],
+      x: units
+        ? units.fromDisplay(numbers[columns.x], "length")
+        : numbers[columns.x],
+      y: units
+        ? units.fromDisplay(numbers[columns.y], "length")
+        : numbers[columns.y],
+    };
+    if (Object.values(point).some((v) => !Number.isFinite(v))) {
+      throw new Error(`Line ${index + 1}: expected numbers for t, x and y`);
+    }
+    points.push(point);
+  });
+  if (points.length === 0) throw new Error("No data rows found");
+  return points.sort((a, b) => a.t - b.t);
+};
+
+/**
+ * World position of a measured point for a shot fired toward `azimuth`
+ */
+export const measuredToWorld = (point, azimuth) => {
+  const aim = headingVector(azimuth);
+  return { x: aim.x * point.x, y: point.y, z: aim.z * point.x };
+};
+
+/**
+ * Compares each measured point with the computed position at the same time.
+ * Residuals are measured minus computed. Points timed after the projectile
+ * came to rest are compared with its resting place and counted in `late`.
+ */
+export const measurementResiduals = (trajectory, measured, azimuth) => {
+  const aim = headingVector(azimuth);
+  const residuals = measured.map((m) => {
+    const p = sampleTrajectory(trajectory, m.t);
+    const x = p.x * aim.x + p.z * aim.z;
+    const dx = m.x - x;
+    const dy = m.y - p.y;
+    return {
+      t: m.t,
+      computed: { x, y: p.y },
+      world: { x: p.x, y: p.y, z: p.z },
+      dx,
+      dy,
+      error: Math.hypot(dx, dy),
+    };
+  });
+  const n = residuals.length;
+  const sum = (fn) => residuals.reduce((acc, r) => acc + fn(r), 0);
+  const worst = residuals.reduce((a, b) => (b.error > a.error ? b : a));
+  return {
+    residuals,
+    count: n,
+    rms: Math.sqrt(sum((r) => r.error * r.error) / n),
+    meanDx: sum((r) => r.dx) / n,
+    meanDy: sum((r) => r.dy) / n,
+    worst,
+    // Exported times are rounded, so allow a hair past the end
+    late: residuals.filter((r) => r.t > trajectory.duration + 1e-3).length,
+  };
+};
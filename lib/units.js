@@ -0,0 +1,144 @@
+/**
+ * UNITS AND DISPLAY PRECISION
+ *
+ * The physics always runs in SI. This converts values on their way to and
+ * from the screen (and exported files) for the chosen unit system, and
+ * formats them either to fixed decimals or to a number of significant
+ * figures. Quantities are named by what they measure:
+ *   length, diameter, area, speed, acceleration, mass, energy, momentum,
+ *   density, time
+ * A quantity of null is a plain number and passes through unconverted.
+ */
+export const UNIT_SYSTEMS = {
+  si: {
+    label: "SI (m, m/s)",
+    units: {
+      length: "m",
+      diameter: "m",
+      area: "m²",
+      speed: "m/s",
+      acceleration: "m/s²",
+      mass: "kg",
+      energy: "J",
+      momentum: "kg·m/s",
+      density: "kg/m³",
+      time: "s",
+    },
+  },
+  imperial: {
+    label: "Imperial (ft, ft/s)",
+    units: {
+      length: "ft",
+      diameter: "in",
+      area: "in²",
+      speed: "ft/s",
+      acceleration: "ft/s²",
+      mass: "lb",
+      energy: "ft·lbf",
+      momentum: "lb·ft/s",
+      density: "lb/ft³",
+      time: "s",
+    },
+  },
+  mixed: {
+    label: "Mixed (m, km/h)",
+    units: {
+      length: "m",
+      diameter: "cm",
+      area: "cm²",
+      speed: "km/h",
+      acceleration: "m/s²",
+      mass: "kg",
+      energy: "J",
+      momentum: "kg·m/s",
+      density: "kg/m³",
+      time: "s",
+    },
+  },
+};
+// Size of each unit in SI
+const SI_PER_UNIT = {
+  m: 1,
+  ft: 0.3048,
+  cm: 0.01,
+  in: 0.0254,
+  "m²": 1,
+  "cm²": 1e-4,
+  "in²": 0.00064516,
+  "m/s": 1,
+  "ft/s": 0.3048,
+  "km/h": 1 / 3.6,
+  "m/s²": 1,
+  "ft/s²": 0.3048,
+  kg: 1,
+  lb: 0.45359237,
+  J: 1,
+  "ft·lbf": 1.3558179483314004,
+  "kg·m/s": 1,
+  "lb·ft/s": 0.138254954376,
+  "kg/m³": 1,
+  "lb/ft³": 16.018463373960138,
+  s: 1,
+};
+// Significant-figure choices; null keeps the usual fixed decimals
+export const SIG_FIG_OPTIONS = [null, 2, 3, 4, 5];
+export const DEFAULT_DISPLAY = { system: "si", sigFigs: null };
+
+/**
+ * `value` rounded to `sig` significant figures, written out without an
+ * exponent (so 1234 to 2 figures is "1200", 0.0123 to 2 is "0.012")
+ */
+export const formatSignificant = (value, sig) => {
+  if (!Number.isFinite(value)) return String(value);
+  const rounded = Number(value.toPrecision(sig));
+  if (rounded === 0) return (0).toFixed(Math.max(sig - 1, 0));
+  const integerDigits = Math.floor(Math.log10(Math.abs(rounded))) + 1;
+  return rounded.toFixed(Math.min(Math.max(sig - integerDigits, 0), 20));
+};
+
+/**
+ * Converters and formatters for a display setting { system, sigFigs }
+ */
+export const createUnits = ({ system, sigFigs } = DEFAULT_DISPLAY) => {
+  const { units } = UNIT_SYSTEMS[system] ?? UNIT_SYSTEMS.si;
+  const unit = (quantity) => units[quantity];
+  const factor = (quantity) => (quantity ? SI_PER_UNIT[units[quantity]] : 1);
+  const toDisplay = (value, quantity) => value / factor(quantity);
+  const fromDisplay = (value, quantity) => value * factor(quantity);
+  const format = (value, quantity = null, decimals = 2) => {
+    const shown = toDisplay(value, quantity);
+    return sigFigs
+      ? formatSignificant(shown, sigFigs)
+      : shown.toFixed(decimals);
+  };
+  return {
+    system,
+    sigFigs,
+    unit,
+    toDisplay,
+    fromDisplay,
+    format,
+    withUnit: (value, quantity, decimals) =>
+      `${format(value, quantity, decimals)} ${unit(quantity)}`,
+    // Display value for a number input, trimmed of float noise
+    input: (value, quantity) =>
+      Math.round(toDisplay(value, quantity) * 1e4) / 1e4,
+    /**
+     * SI value of a typed display value, or null when it is not a number or
+     * lies outside [min, max] (SI). The trimming done by input() is forgiven
+     * at the ends, so a limit shown in other units can be typed back.
+     */
+    parse: (text, quantity, min = -Infinity, max = Infinity) => {
+      const value = fromDisplay(Number(text), quantity);
+      const slack = factor(quantity) * 1e-4;
+      if (
+        !Number.isFinite(value) ||
+        value < min - slack ||
+        value > max + slack
+      ) {
+        return null;
+      }
+      return Math.min(Math.max(value, min), max);
+    },
+  };
+};